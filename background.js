@@ -1,11 +1,58 @@
 /**
  * background.js — Service worker for Shadow Talk extension.
- * Handles extension icon click as a shortcut to toggle the panel.
+ * Handles extension icon click as a shortcut to toggle the panel, and relays
+ * attempts to a local speech recognizer for the content script.
  */
 
+// The allowed local recognizer addresses, shared with the content scripts.
+importScripts('content/endpoint.js');
+
 // When the extension icon is clicked and there's no popup (fallback)
 chrome.action.onClicked.addListener((tab) => {
   if (tab.url && tab.url.includes('youtube.com/watch')) {
     chrome.tabs.sendMessage(tab.id, { action: 'toggle' });
   }
 });
+
+/**
+ * Transcribe an attempt on the learner's local recognizer server. Content
+ * scripts can't reach localhost from a YouTube page, so local-speech.js sends
+ * the audio here. Only loopback addresses are accepted.
+ */
+const TRANSCRIBE_TIMEOUT_MS = 60000;
+
+async function transcribe({ endpoint, language, audio }) {
+  if (!ShadowEndpoint.isLocal(endpoint)) {
+    throw new Error('The local recognizer address must be on localhost.');
+  }
+
+  const bytes = Uint8Array.from(atob(audio), (c) => c.charCodeAt(0));
+  const form = new FormData();
+  form.append('file', new Blob([bytes], { type: 'audio/wav' }), 'attempt.wav');
+  form.append('language', language);
+  form.append('response_format', 'verbose_json');
+
+  let response;
+  try {
+    response = await fetch(endpoint, {
+      method: 'POST',
+      body: form,
+      signal: AbortSignal.timeout(TRANSCRIBE_TIMEOUT_MS),
+    });
+  } catch (err) {
+    throw new Error(`Could not reach the local recognizer at ${endpoint}.`);
+  }
+  if (!response.ok) {
+    throw new Error(`The local recognizer answered ${response.status} ${response.statusText}.`);
+  }
+  const type = response.headers.get('content-type') || '';
+  return type.includes('json') ? response.json() : response.text();
+}
+
+chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+  if (msg.action !== 'transcribe') return false;
+  transcribe(msg)
+    .then((data) => sendResponse({ ok: true, data }))
+    .catch((err) => sendResponse({ ok: false, error: err.message }));
+  return true; // respond asynchronously
+});
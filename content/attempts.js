@@ -0,0 +1,118 @@
+/**
+ * attempts.js — The session's attempt log: every attempt at each sentence,
+ * so the summary can tell first tries from retries and skips from misses.
+ *
+ * A log is a Map of sentence index → { text, attempts, best, last, skipped }.
+ * `attempts` are { score, speed, fluency, profile, time } in the order they
+ * were made; `best` and `last` point into them (null before the first one).
+ * `skipped` is true for a sentence passed over without a single attempt.
+ */
+
+const ShadowAttempts = (() => {
+  /** An empty log. */
+  function create() {
+    return new Map();
+  }
+
+  /** Add an attempt at sentence `index`. Returns its entry. */
+  function add(log, index, text, attempt) {
+    const entry = _entry(log, index, text);
+    entry.attempts.push(attempt);
+    entry.last = attempt;
+    if (!entry.best || attempt.score > entry.best.score) entry.best = attempt;
+    entry.skipped = false;
+    return entry;
+  }
+
+  /**
+   * Mark sentence `index` as skipped. A sentence that already has attempts
+   * keeps them and isn't counted as skipped.
+   */
+  function skip(log, index, text) {
+    const entry = _entry(log, index, text);
+    entry.skipped = entry.attempts.length === 0;
+    return entry;
+  }
+
+  /** How many attempts sentence `index` has had. */
+  function count(log, index) {
+    const entry = log.get(index);
+    return entry ? entry.attempts.length : 0;
+  }
+
+  /** Every attempt in the log, sentence by sentence. */
+  function all(log) {
+    return _sorted(log).flatMap(([, entry]) => entry.attempts);
+  }
+
+  /**
+   * Renumber entries after the sentences were edited: every entry from
+   * `from` on moves by `delta` (+1 after a split, -1 after a merge). An entry
+   * landing on an occupied index is combined with it.
+   */
+  function shift(log, from, delta) {
+    const moved = _sorted(log).filter(([index]) => index >= from);
+    moved.forEach(([index]) => log.delete(index));
+    for (const [index, entry] of moved) {
+      const target = index + delta;
+      const existing = log.get(target);
+      log.set(target, existing ? _combine(existing, entry) : entry);
+    }
+  }
+
+  /**
+   * Session totals. Scores are rounded percentages, 0 when there is nothing
+   * to average.
+   * @returns {object} { sentences, attempts, skipped, averageScore,
+   *   bestAverage, firstTryAverage, fullSpeedAverage, fullSpeedCount } —
+   *   averageScore is over every attempt, bestAverage and firstTryAverage
+   *   over each practiced sentence's best and first attempt; the full-speed
+   *   pair only counts attempts played at 1× or faster.
+   */
+  function summarize(log) {
+    const practiced = [...log.values()].filter((entry) => entry.attempts.length > 0);
+    const fullSpeed = practiced
+      .map((entry) => entry.attempts.filter((a) => a.speed >= 1))
+      .filter((attempts) => attempts.length > 0);
+    return {
+      sentences: practiced.length,
+      attempts: all(log).length,
+      skipped: [...log.values()].filter((entry) => entry.skipped).length,
+      averageScore: _average(all(log).map((a) => a.score)),
+      bestAverage: _average(practiced.map((entry) => entry.best.score)),
+      firstTryAverage: _average(practiced.map((entry) => entry.attempts[0].score)),
+      fullSpeedAverage: _average(fullSpeed.map((attempts) => Math.max(...attempts.map((a) => a.score)))),
+      fullSpeedCount: fullSpeed.length,
+    };
+  }
+
+  // ---- Private helpers ----
+
+  function _entry(log, index, text) {
+    if (!log.has(index)) {
+      log.set(index, { text, attempts: [], best: null, last: null, skipped: false });
+    }
+    return log.get(index);
+  }
+
+  function _sorted(log) {
+    return [...log.entries()].sort((a, b) => a[0] - b[0]);
+  }
+
+  function _combine(first, second) {
+    const attempts = [...first.attempts, ...second.attempts].sort((a, b) => a.time - b.time);
+    return {
+      text: [first.text, second.text].filter(Boolean).join(' '),
+      attempts,
+      best: attempts.reduce((best, a) => (!best || a.score > best.score ? a : best), null),
+      last: attempts[attempts.length - 1] || null,
+      skipped: first.skipped && second.skipped,
+    };
+  }
+
+  function _average(list) {
+    return list.length > 0 ? Math.round(list.reduce((a, b) => a + b, 0) / list.length) : 0;
+  }
+
+  return { create, add, skip, count, all, shift, summarize };
+})();
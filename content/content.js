@@ -8,10 +8,52 @@
   let language = 'en-US';
   let currentIndex = 0;
   let isActive = false;
-  let scores = [];
+  // Every attempt this session, per sentence index (ShadowAttempts log).
+  let attemptLog = ShadowAttempts.create();
   // Auto-advance to the next sentence after showing the score. Session-only
   // (resets to true each session); toggled from the score screen.
   let autoAdvance = true;
+  // Subtitle file used instead of the video's captions ({ name, text }),
+  // remembered per video ID.
+  let subtitle = null;
+  // Identifies where `sentences` came from ('track:.en', 'file:talk.srt') so
+  // boundary edits are saved against the transcript they were made on.
+  let sourceKey = null;
+  // The transcript's sentences before any saved edits, for "Reset edits".
+  let originalSentences = [];
+  // Caption track the session runs on (result.trackId), saved so a resumed
+  // session loads the same one.
+  let sessionTrack = null;
+  // This session's id in the practice history (its start time).
+  let session = 0;
+  // Unfinished session saved for this video (ShadowHistory progress), offered
+  // on the start screen.
+  let resumable = null;
+  // Review mode: `sentences` are this video's due ShadowReview cards, each
+  // graded on its first attempt. reviewDue is the count for the start screen.
+  let reviewing = false;
+  let reviewDue = 0;
+
+  // Playback speed picked in the speed selector (kept across sessions in this tab).
+  let speed = 1;
+  // Adaptive slow-down: after a score below ADAPTIVE_THRESHOLD, Replay plays
+  // the sentence at the next ADAPTIVE_RATES step; the next sentence resets it.
+  let adaptiveSpeed = true;
+  let slowStep = 0;
+  // Rate the current sentence was last played at — recorded with its score.
+  let sentenceRate = 1;
+  // The video's own rate before the session, restored when it ends.
+  let originalRate = 1;
+  const ADAPTIVE_THRESHOLD = 60;
+  const ADAPTIVE_RATES = [0.75, 0.6];
+
+  // Saved user settings (ShadowStorage.getSettings), loaded with the start screen.
+  let settings = null;
+  // Counts listening attempts; results of an attempt that was aborted since are dropped.
+  let attemptCount = 0;
+  // Pitch frames sampled from the video while the current sentence last
+  // played through ({ index, frames }), for intonation feedback.
+  let speakerPitch = null;
 
   /**
    * Initialize: create UI overlay, show start screen.
@@ -21,32 +63,266 @@
     if (document.getElementById('shadow-talk-overlay')) return;
 
     ShadowUI.create();
-    ShadowUI.renderStart(startShadowing);
+    showStart();
+  }
+
+  /**
+   * Show the start screen with this video's remembered subtitle file, if any.
+   */
+  async function showStart() {
+    try {
+      await ShadowStorage.migrate();
+      const videoId = ShadowPlayer.getVideoId();
+      subtitle = videoId ? await ShadowSubtitles.load(videoId) : null;
+      settings = await ShadowStorage.getSettings();
+      const { progress } = await ShadowHistory.load(videoId);
+      resumable = progress && progress.index < progress.total &&
+        progress.source.startsWith(subtitle ? 'file:' : 'track:') &&
+        (!subtitle || progress.source === 'file:' + subtitle.name)
+        ? progress
+        : null;
+      reviewDue = (await ShadowReview.due()).length;
+      applySettings();
+      renderStartScreen();
+    } catch (err) {
+      console.error('[ShadowTalk]', err);
+      ShadowUI.renderError('Could not load your saved data: ' + err.message, showStart);
+    }
+  }
+
+  /**
+   * Render the start screen, then fill in the video's caption tracks.
+   */
+  function renderStartScreen() {
+    ShadowUI.renderStart({
+      onStart: startShadowing,
+      onSubtitleFile: useSubtitleFile,
+      onClearSubtitle: clearSubtitleFile,
+      onSettings: showSettings,
+      onResume: () => startShadowing(resumable.language, resumable.trackId, resumable),
+      onClearHistory: clearHistory,
+      onReview: startReview,
+    }, { subtitle, resume: resumable, reviewDue });
+    if (subtitle) return;
+
+    ShadowTranscript.getTracks()
+      .then((tracks) => {
+        ShadowUI.setTracks(tracks.map((t) => ({
+          ...t,
+          speechLang: ShadowSpeech.mapLanguage(t.languageCode),
+        })));
+      })
+      .catch((err) => {
+        console.warn('[ShadowTalk] Could not list caption tracks:', err);
+        ShadowUI.setTracks([]);
+      });
+  }
+
+  /**
+   * Read a dropped/picked subtitle file, check it parses, and remember it for
+   * this video. Rejects with a user-facing message on a bad file.
+   */
+  async function useSubtitleFile(file) {
+    if (!ShadowSubtitles.isSupported(file.name)) {
+      throw new Error('Unsupported file — use an .srt, .vtt or .ass subtitle file.');
+    }
+    const segments = ShadowSubtitles.parse(await file.text(), file.name);
+    if (segments.length === 0) {
+      throw new Error('No subtitles found in ' + file.name + '.');
+    }
+
+    subtitle = { name: file.name, segments, savedAt: Date.now() };
+    const videoId = ShadowPlayer.getVideoId();
+    if (videoId) {
+      ShadowSubtitles.save(videoId, subtitle)
+        .catch((err) => console.warn('[ShadowTalk] Could not remember subtitle file:', err));
+    }
+    renderStartScreen();
+  }
+
+  /**
+   * Forget this video's subtitle file and go back to its captions.
+   */
+  function clearSubtitleFile() {
+    const videoId = ShadowPlayer.getVideoId();
+    subtitle = null;
+    if (videoId) {
+      ShadowSubtitles.forget(videoId)
+        .catch((err) => console.warn('[ShadowTalk] Could not forget subtitle file:', err));
+    }
+    renderStartScreen();
+  }
+
+  /**
+   * Forget this video's practice history, including where it left off.
+   */
+  function clearHistory() {
+    resumable = null;
+    ShadowHistory.clear(ShadowPlayer.getVideoId());
+    renderStartScreen();
+  }
+
+  /**
+   * Show the settings screen; leaving it returns to the start screen.
+   */
+  function showSettings() {
+    ShadowUI.renderSettings(settings, {
+      onChange: updateSettings,
+      onImportEquivalences: importEquivalences,
+      onExportEquivalences: exportEquivalences,
+      onBack: renderStartScreen,
+    });
+  }
+
+  /**
+   * Add the equivalences from a picked JSON pack to the learner's own,
+   * skipping ones already there. Resolves with the updated list; rejects
+   * with a user-facing message on a bad file.
+   */
+  async function importEquivalences(file) {
+    const imported = ShadowScoring.parseEquivalences(await file.text());
+    const keyOf = (e) => e.lang + ':' + e.words.map((w) => w.toLowerCase()).join('|');
+    const known = new Set(settings.equivalences.map(keyOf));
+    const added = imported.filter((e) => !known.has(keyOf(e)) && known.add(keyOf(e)));
+    await updateSettings({ equivalences: [...settings.equivalences, ...added] });
+    return settings.equivalences;
+  }
+
+  /**
+   * Download the learner's equivalences as a JSON pack.
+   */
+  function exportEquivalences() {
+    const json = ShadowScoring.exportEquivalences(settings.equivalences);
+    const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'shadow-talk-equivalences.json';
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  /**
+   * Validate and save changed settings. Rejects with a user-facing message
+   * on an invalid value. Turning off "keep recordings" deletes the
+   * recordings saved so far.
+   */
+  async function updateSettings(changes) {
+    if ('localEndpoint' in changes && !ShadowEndpoint.isLocal(changes.localEndpoint)) {
+      throw new Error('Use an http://localhost or http://127.0.0.1 address.');
+    }
+    const next = { ...settings, ...changes };
+    if (!(next.silenceMin >= 300 && next.silenceMax <= 8000 && next.silenceMin <= next.silenceMax)) {
+      throw new Error('Pauses must be between 0.3 and 8 seconds, shortest first.');
+    }
+    if (!(next.noSpeechTimeout >= 2000 && next.noSpeechTimeout <= 30000)) {
+      throw new Error('The wait to start speaking must be between 2 and 30 seconds.');
+    }
+    if (changes.keepRecordings === false) {
+      ShadowRecorder.clearSaved()
+        .catch((err) => console.warn('[ShadowTalk] Could not delete saved recordings:', err));
+    }
+    settings = await ShadowStorage.saveSettings(changes);
+    applySettings();
+  }
+
+  function applySettings() {
+    ShadowSpeech.setBackend(settings.recognizer, { endpoint: settings.localEndpoint });
   }
 
   /**
    * Start the shadowing session.
    * @param {string} [selectedLang] - Language code from the UI selector (e.g. 'en-US')
+   * @param {string} [trackId] - Caption track id from the UI selector (e.g. '.es', 'a.ja')
+   * @param {Object} [resume] - Saved progress (ShadowHistory) to continue from
    */
-  async function startShadowing(selectedLang) {
+  async function startShadowing(selectedLang, trackId, resume = null) {
     ShadowUI.renderLoading();
 
     try {
-      const result = await ShadowTranscript.getTranscript();
-      sentences = result.sentences;
+      const result = subtitle
+        ? ShadowTranscript.fromSegments(subtitle.segments, {
+          language: selectedLang,
+          trackName: subtitle.name,
+        })
+        : await ShadowTranscript.getTranscript(trackId || selectedLang, {
+          videoId: ShadowPlayer.getVideoId(),
+        });
+      sourceKey = subtitle
+        ? 'file:' + subtitle.name
+        : 'track:' + (result.trackId || result.language);
+      const edited = await ShadowEditor.load(ShadowPlayer.getVideoId(), sourceKey);
+      if (settings.keepRecordings) {
+        await ShadowRecorder.load(ShadowPlayer.getVideoId())
+          .catch((err) => console.warn('[ShadowTalk] Could not load saved recordings:', err));
+      }
+      originalSentences = result.sentences;
+      sentences = edited || originalSentences;
       // Use user-selected language for speech recognition, fall back to transcript language
       language = selectedLang || ShadowSpeech.mapLanguage(result.language);
-      currentIndex = 0;
-      scores = [];
+      sessionTrack = result.trackId || trackId || null;
+      reviewing = false;
+      // Resume only on the transcript the progress was saved against.
+      const resuming = resume && resume.source === sourceKey;
+      currentIndex = resuming ? Math.max(0, Math.min(resume.index, sentences.length - 1)) : 0;
+      session = resuming ? resume.session : Date.now();
+      attemptLog = ShadowAttempts.create();
+      originalRate = ShadowPlayer.getPlaybackRate();
+      // Tap the video's audio for pitch analysis while we still have the click.
+      ShadowProsody.attach(ShadowPlayer.getVideo());
       isActive = true;
 
       playSentence(currentIndex);
     } catch (err) {
       console.error('[ShadowTalk]', err);
-      ShadowUI.renderError(err.message, startShadowing);
+      ShadowUI.renderError(err.message, () => startShadowing(selectedLang, trackId, resume));
     }
   }
 
+  /**
+   * Review the deck's due cards: those on this video as a session, or open
+   * the video of the most overdue card if none are here.
+   */
+  async function startReview() {
+    ShadowUI.renderLoading();
+    let due;
+    try {
+      due = await ShadowReview.due();
+    } catch (err) {
+      console.error('[ShadowTalk]', err);
+      ShadowUI.renderError('Could not load the review deck: ' + err.message, startReview);
+      return;
+    }
+    if (due.length === 0) {
+      showStart();
+      return;
+    }
+    const videoId = ShadowPlayer.getVideoId();
+    const here = due.filter((card) => card.videoId === videoId);
+    if (here.length === 0) {
+      openVideo(due[0]);
+      return;
+    }
+
+    reviewing = true;
+    sentences = here;
+    sourceKey = 'review';
+    currentIndex = 0;
+    attemptLog = ShadowAttempts.create();
+    originalRate = ShadowPlayer.getPlaybackRate();
+    ShadowProsody.attach(ShadowPlayer.getVideo());
+    isActive = true;
+    playSentence(0);
+  }
+
+  /**
+   * Navigate to a review card's video, at the card. Its start screen then
+   * offers the review again.
+   */
+  function openVideo(card) {
+    location.assign('https://www.youtube.com/watch?v=' + encodeURIComponent(card.videoId) +
+      '&t=' + Math.floor(card.startTime) + 's');
+  }
+
   /**
    * Play video from current sentence start, pause at sentence end.
    */
@@ -58,19 +334,33 @@
 
     const sentence = sentences[index];
     currentIndex = index;
+    slowStep = 0;
+    // Review cards can come from videos practiced in different languages.
+    if (reviewing) language = sentence.language;
 
-    ShadowUI.renderPlaying(sentence, index, sentences.length, stopShadowing);
+    ShadowUI.renderPlaying(sentence, index, sentences.length, stopShadowing, speedControl());
 
     // Seek to sentence start and play
+    applyRate();
     ShadowPlayer.seekTo(sentence.startTime);
     ShadowPlayer.play();
+    ShadowProsody.startCapture(ShadowPlayer.getVideo());
 
     // Watch for sentence end — then pause and prompt user
     ShadowPlayer.watchForTime(sentence.endTime, () => {
+      keepSpeakerPitch(index);
       promptUser(index);
     });
   }
 
+  /**
+   * Keep the pitch frames captured while sentence `index` played.
+   */
+  function keepSpeakerPitch(index) {
+    const frames = ShadowProsody.stopCapture();
+    if (frames.length > 0) speakerPitch = { index, frames };
+  }
+
   /**
    * Video has paused at sentence end. Now prompt user to speak.
    */
@@ -78,41 +368,133 @@
     if (!isActive) return;
 
     const sentence = sentences[index];
+    const attempt = ++attemptCount;
+    ShadowRecorder.stopPlayback();
 
     ShadowUI.renderListening(sentence, index, sentences.length, {
       onStop: stopShadowing,
       onDone: () => ShadowSpeech.stop(),
       onReplay: () => replaySentence(index),
       onSkip: () => skipSentence(index),
+      onEdit: reviewing ? null : () => openEditor(index),
     });
 
     // Start listening with live preview callback
-    ShadowSpeech.listen(language, 20000, 2000, (liveText) => {
+    const timing = listenTiming(sentence);
+    ShadowSpeech.listen(language, timing.timeout, timing.silence, (liveText) => {
       // Update the UI with what the user is saying in real-time
       const liveEl = document.querySelector('.st-live-text');
       if (liveEl) liveEl.textContent = liveText;
-    })
-      .then((result) => {
-        if (!isActive) return;
-        showScore(index, result.transcript);
-      })
+    }, timing.noSpeech)
       .catch((err) => {
         console.error('[ShadowTalk] Speech error:', err);
-        if (!isActive) return;
-        showScore(index, '');
+        return { transcript: '', confidence: 0, segments: [], error: err.message };
+      })
+      .then((result) => {
+        if (!isActive || attempt !== attemptCount) return;
+        // listen() records the attempt too, so it can be played back.
+        if (result.recording) keepRecording(sentence, result.recording);
+        showScore(index, result);
       });
   }
 
   /**
-   * Show the scoring result.
+   * Listening timings (ms) for a sentence. Longer sentences get a longer
+   * pause before the attempt counts as finished, since learners pause more
+   * mid-way through them; the overall limit leaves room to speak slowly.
+   */
+  function listenTiming(sentence) {
+    const duration = Math.max(0, sentence.endTime - sentence.startTime);
+    const wordCount = sentence.words ? sentence.words.length : sentence.text.split(/\s+/).length;
+    // 0 for a short phrase, 1 from about 8s or 20 words up.
+    const length = Math.min(1, Math.max((duration - 1) / 7, (wordCount - 3) / 17, 0));
+    const silence = Math.round(settings.silenceMin + (settings.silenceMax - settings.silenceMin) * length);
+    return {
+      silence,
+      noSpeech: settings.noSpeechTimeout,
+      timeout: Math.round(settings.noSpeechTimeout + duration * 3000 + silence),
+    };
+  }
+
+  /**
+   * Abandon the attempt in progress: stop listening and recording, and
+   * drop whatever they would have produced.
+   */
+  function abortAttempt() {
+    attemptCount++;
+    ShadowSpeech.abort();
+    ShadowRecorder.cancel();
+    ShadowRecorder.stopPlayback();
+  }
+
+  /** Recordings are kept per sentence of the transcript they were made on. */
+  function recordingKey(sentence) {
+    return sourceKey + '@' + sentence.startTime.toFixed(2);
+  }
+
+  function keepRecording(sentence, recording) {
+    const videoId = ShadowPlayer.getVideoId();
+    ShadowRecorder.remember(videoId, recordingKey(sentence), recording);
+    if (settings.keepRecordings && videoId) {
+      ShadowRecorder.save(videoId)
+        .catch((err) => console.warn('[ShadowTalk] Could not save recording:', err));
+    }
+  }
+
+  /**
+   * Play the sentence's clip from the video. Resolves when it reaches the end.
+   */
+  function playOriginal(sentence) {
+    ShadowRecorder.stopPlayback();
+    return new Promise((resolve) => previewRange(sentence.startTime, sentence.endTime, resolve));
+  }
+
+  /**
+   * Play the learner's latest recording of the sentence, with the video paused.
    */
-  function showScore(index, userTranscript) {
+  function playRecording(recording) {
+    ShadowPlayer.stopWatching();
+    ShadowPlayer.pause();
+    return ShadowRecorder.play(recording);
+  }
+
+  /**
+   * Show the scoring result for a ShadowSpeech.listen result.
+   */
+  function showScore(index, recognition) {
     if (!isActive) return;
 
     const sentence = sentences[index];
-    const result = ShadowScoring.score(sentence.text, userTranscript);
+    const result = ShadowScoring.score(sentence.text, recognition, {
+      lang: language,
+      profile: settings.scoringProfile,
+      equivalences: settings.equivalences,
+    });
+    const recording = ShadowRecorder.find(ShadowPlayer.getVideoId(), recordingKey(sentence));
+    const fluency = ShadowFluency.measure(sentence, result.totalCount, result.userWords.length,
+      recognition.voice, sentenceRate);
 
-    scores.push(result.score);
+    const videoId = ShadowPlayer.getVideoId();
+    if (reviewing) {
+      if (ShadowAttempts.count(attemptLog, index) === 0) ShadowReview.grade(sentence.id, result.score);
+    } else {
+      recordAttempt(index, { transcript: result.transcript, score: result.score, profile: result.profile });
+      if (result.score < ShadowReview.LOW_SCORE) {
+        ShadowReview.add(ShadowReview.cardFor(videoId, sentence, language));
+      }
+    }
+    const card = reviewing ? sentence : ShadowReview.cardFor(videoId, sentence, language);
+    ShadowAttempts.add(attemptLog, index, sentence.text, {
+      score: result.score,
+      speed: sentenceRate,
+      fluency,
+      profile: result.profile,
+      time: Date.now(),
+    });
+
+    if (adaptiveSpeed && result.score < ADAPTIVE_THRESHOLD) {
+      slowStep = Math.min(slowStep + 1, ADAPTIVE_RATES.length);
+    }
 
     ShadowUI.renderScore(result, sentence, index, sentences.length, {
       onStop: stopShadowing,
@@ -120,29 +502,110 @@
       onRetry: () => retrySentence(index),
       onContinue: () => nextSentence(index),
       onToggleAuto: (enabled) => { autoAdvance = enabled; },
-    }, autoAdvance);
+      onEdit: reviewing ? null : () => openEditor(index),
+      onStar: (starred) => {
+        if (starred) ShadowReview.add(card, true);
+        else ShadowReview.unstar(card.id);
+      },
+      onPlayMine: () => recording && playRecording(recording),
+      onPlayOriginal: () => playOriginal(sentence),
+      onPlayBoth: async () => {
+        await playOriginal(sentence);
+        if (recording) await playRecording(recording);
+      },
+      onSpeedChange: (rate) => { speed = rate; },
+      onToggleAdaptive: (enabled) => {
+        adaptiveSpeed = enabled;
+        if (!enabled) slowStep = 0;
+      },
+    }, autoAdvance, {
+      speed,
+      attemptRate: sentenceRate,
+      replayRate: playbackRate(),
+      adaptiveSpeed,
+      hasRecording: !!recording,
+      recognitionError: recognition.error,
+      fluency,
+    });
+
+    ShadowReview.isStarred(card.id)
+      .then((starred) => ShadowUI.setStarred(starred))
+      .catch((err) => console.warn('[ShadowTalk] Could not read the review deck:', err));
+    if (recording) comparePitch(index, recording);
+  }
+
+  /**
+   * Compare the learner's intonation with the speaker's and show it on the
+   * score screen once the recording is analyzed.
+   */
+  function comparePitch(index, recording) {
+    const attempt = attemptCount;
+    if (!speakerPitch || speakerPitch.index !== index) {
+      ShadowUI.setProsody(null);
+      return;
+    }
+    const speakerFrames = speakerPitch.frames;
+    ShadowProsody.analyzeRecording(recording.blob)
+      .then((frames) => ShadowProsody.compare(speakerFrames, frames))
+      .catch((err) => {
+        console.warn('[ShadowTalk] Pitch analysis failed:', err);
+        return null;
+      })
+      .then((comparison) => {
+        if (!isActive || attempt !== attemptCount) return;
+        ShadowUI.setProsody(comparison);
+      });
+  }
+
+  /**
+   * The rate to play the current sentence at: the selected speed, or the
+   * adaptive slow-down step if that is slower.
+   */
+  function playbackRate() {
+    if (!adaptiveSpeed || slowStep === 0) return speed;
+    return Math.min(speed, ADAPTIVE_RATES[slowStep - 1]);
+  }
+
+  function applyRate() {
+    sentenceRate = playbackRate();
+    ShadowPlayer.setPlaybackRate(sentenceRate);
+  }
+
+  /** Speed selector state for the playing screen — changes apply immediately. */
+  function speedControl() {
+    return {
+      rate: playbackRate(),
+      onChange: (rate) => {
+        speed = rate;
+        slowStep = 0;
+        applyRate();
+      },
+    };
   }
 
   /**
    * Replay the current sentence (seek back and play again).
    */
   function replaySentence(index) {
-    ShadowSpeech.abort();
+    abortAttempt();
     const sentence = sentences[index];
+    applyRate();
     ShadowPlayer.seekTo(sentence.startTime);
     ShadowPlayer.play();
+    ShadowProsody.startCapture(ShadowPlayer.getVideo());
     ShadowPlayer.watchForTime(sentence.endTime, () => {
+      keepSpeakerPitch(index);
       promptUser(index);
     });
-    ShadowUI.renderPlaying(sentence, index, sentences.length, stopShadowing);
+    ShadowUI.renderPlaying(sentence, index, sentences.length, stopShadowing, speedControl());
   }
 
   /**
    * Retry speaking the same sentence (don't replay video).
    */
   function retrySentence(index) {
-    // Remove last score since we're retrying
-    if (scores.length > 0) scores.pop();
+    ShadowPlayer.stopWatching();
+    ShadowPlayer.pause();
     promptUser(index);
   }
 
@@ -150,16 +613,43 @@
    * Skip to next sentence.
    */
   function skipSentence(index) {
-    ShadowSpeech.abort();
-    scores.push(0); // count skip as 0
+    abortAttempt();
+    if (!reviewing) {
+      recordAttempt(index, { transcript: '', score: null, profile: settings.scoringProfile, skipped: true });
+    }
+    ShadowAttempts.skip(attemptLog, index, sentences[index].text);
     nextSentence(index);
   }
 
+  /**
+   * Save an attempt at sentence `index` to this video's practice history and
+   * move its resume point past that sentence.
+   */
+  function recordAttempt(index, attempt) {
+    ShadowHistory.record(ShadowPlayer.getVideoId(), {
+      index,
+      text: sentences[index].text,
+      speed: sentenceRate,
+      retry: ShadowAttempts.count(attemptLog, index),
+      skipped: false,
+      time: Date.now(),
+      ...attempt,
+    }, {
+      source: sourceKey,
+      trackId: sessionTrack,
+      language,
+      index: index + 1,
+      total: sentences.length,
+      session,
+      updatedAt: Date.now(),
+    });
+  }
+
   /**
    * Move to the next sentence.
    */
   function nextSentence(index) {
-    ShadowSpeech.abort();
+    abortAttempt();
     const next = index + 1;
     if (next >= sentences.length) {
       finishSession();
@@ -168,31 +658,130 @@
     }
   }
 
+  /**
+   * Open the sentence boundary editor at `index`. Playback and listening stop
+   * while editing; Done resumes the session at the edited sentence.
+   */
+  function openEditor(index) {
+    abortAttempt();
+    ShadowProsody.stopCapture();
+    ShadowPlayer.stopWatching();
+    ShadowPlayer.pause();
+    renderEditor(index, '');
+  }
+
+  function renderEditor(index, status) {
+    const videoId = ShadowPlayer.getVideoId();
+
+    // Apply an edit, save it for this video, and re-render. Splits and merges
+    // renumber the sentences after `index`, and their attempts with them.
+    const apply = (updated, delta = 0) => {
+      if (updated === sentences) return;
+      sentences = updated;
+      if (delta !== 0) ShadowAttempts.shift(attemptLog, index + 1, delta);
+      renderEditor(index, 'Saved');
+      ShadowEditor.save(videoId, sourceKey, sentences).catch((err) => {
+        console.warn('[ShadowTalk] Could not save edits:', err);
+        renderEditor(index, 'Edited, but could not save');
+      });
+    };
+
+    ShadowUI.renderEditor(sentences, index, {
+      onSplit: (wordIndex) => apply(ShadowEditor.split(sentences, index, wordIndex), 1),
+      onMerge: () => apply(ShadowEditor.mergeWithNext(sentences, index), -1),
+      onNudge: (edge, delta) => {
+        apply(ShadowEditor.nudge(sentences, index, edge, delta));
+        previewEdge(sentences[index], edge);
+      },
+      onSetText: (text) => apply(ShadowEditor.setText(sentences, index, text, language)),
+      onPreview: () => previewRange(sentences[index].startTime, sentences[index].endTime),
+      onNavigate: (i) => {
+        ShadowPlayer.stopWatching();
+        ShadowPlayer.pause();
+        renderEditor(Math.max(0, Math.min(i, sentences.length - 1)), '');
+      },
+      onReset: () => {
+        ShadowEditor.clear(videoId, sourceKey).catch((err) => {
+          console.warn('[ShadowTalk] Could not clear edits:', err);
+        });
+        sentences = originalSentences;
+        renderEditor(Math.min(index, sentences.length - 1), 'Edits cleared');
+      },
+      onDone: () => {
+        ShadowPlayer.stopWatching();
+        playSentence(Math.min(index, sentences.length - 1));
+      },
+    }, status);
+  }
+
+  /**
+   * Play [start, end] of the video once, pausing at the end.
+   */
+  function previewRange(start, end, onEnd = () => {}) {
+    ShadowPlayer.seekTo(start);
+    ShadowPlayer.play();
+    ShadowPlayer.watchForTime(end, onEnd);
+  }
+
+  /**
+   * Preview the ~1.5s around a nudged edge: the opening after a start nudge,
+   * the ending before an end nudge.
+   */
+  function previewEdge(sentence, edge) {
+    if (edge === 'start') {
+      previewRange(sentence.startTime, Math.min(sentence.endTime, sentence.startTime + 1.5));
+    } else {
+      previewRange(Math.max(sentence.startTime, sentence.endTime - 1.5), sentence.endTime);
+    }
+  }
+
   /**
    * End the shadowing session — show summary.
    */
   function finishSession() {
     isActive = false;
     ShadowPlayer.stopWatching();
-    ShadowSpeech.abort();
+    abortAttempt();
+    ShadowRecorder.release();
+    ShadowSpeech.release();
+    ShadowProsody.detach();
     ShadowPlayer.pause();
+    ShadowPlayer.setPlaybackRate(originalRate);
+
+    const stats = {
+      ...ShadowAttempts.summarize(attemptLog),
+      fluency: ShadowFluency.summarize(ShadowAttempts.all(attemptLog).map((a) => a.fluency)),
+    };
+    const close = () => ShadowUI.hide();
+
+    // A review continues with whatever is still due, here or on other videos.
+    if (reviewing) {
+      ShadowReview.due()
+        .catch((err) => {
+          console.warn('[ShadowTalk] Could not read the review deck:', err);
+          return [];
+        })
+        .then((due) => {
+          ShadowUI.renderComplete(stats, due.length > 0 ? startReview : null, close,
+            `Review ${due.length} more`);
+        });
+      return;
+    }
 
-    const avg =
-      scores.length > 0
-        ? Math.round(scores.reduce((a, b) => a + b, 0) / scores.length)
-        : 0;
-
+    ShadowHistory.finish(ShadowPlayer.getVideoId());
     ShadowUI.renderComplete(
-      { averageScore: avg, totalSentences: scores.length },
+      stats,
       () => {
         currentIndex = 0;
-        scores = [];
+        attemptLog = ShadowAttempts.create();
+        session = Date.now();
+        originalRate = ShadowPlayer.getPlaybackRate();
+        // finishSession() let go of the video's audio; tap it again.
+        ShadowProsody.attach(ShadowPlayer.getVideo());
         isActive = true;
         playSentence(0);
       },
-      () => {
-        ShadowUI.hide();
-      }
+      close
     );
   }
 
@@ -202,9 +791,13 @@
   function stopShadowing() {
     isActive = false;
     ShadowPlayer.stopWatching();
-    ShadowSpeech.abort();
+    abortAttempt();
+    ShadowRecorder.release();
+    ShadowSpeech.release();
+    ShadowProsody.detach();
     ShadowPlayer.pause();
-    ShadowUI.renderStart(startShadowing);
+    ShadowPlayer.setPlaybackRate(originalRate);
+    showStart();
   }
 
   /**
@@ -238,6 +831,7 @@
       lastUrl = location.href;
       // Clean up old session
       if (isActive) stopShadowing();
+      ShadowProsody.detach();
       ShadowUI.destroy();
       ShadowPlayer.destroy();
       // Re-init after a short delay (wait for new page to load)
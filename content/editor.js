@@ -0,0 +1,184 @@
+/**
+ * editor.js — Manual sentence boundary edits (split, merge, nudge, retext),
+ * saved per video so a fix made once applies to every later session.
+ *
+ * Every operation returns a new sentences array and leaves its input alone.
+ */
+
+const ShadowEditor = (() => {
+  const MIN_DURATION = 0.2; // seconds — a sentence can't be nudged shorter than this
+
+  /**
+   * Split sentence `index` before its word `wordIndex` (1 … words.length - 1).
+   * The split point is that word's start time.
+   */
+  function split(sentences, index, wordIndex) {
+    const sentence = sentences[index];
+    const words = _wordsOf(sentence);
+    if (wordIndex <= 0 || wordIndex >= words.length) return sentences;
+
+    const splitTime = words[wordIndex].time;
+    const head = words.slice(0, wordIndex);
+    const tail = words.slice(wordIndex);
+
+    const first = {
+      ...sentence,
+      text: ShadowTranscript.joinWords(head),
+      endTime: splitTime,
+      words: head,
+    };
+    const { speakerChange, speaker, ...rest } = sentence;
+    const second = {
+      ...rest,
+      text: ShadowTranscript.joinWords(tail),
+      startTime: splitTime,
+      words: tail,
+    };
+    return [...sentences.slice(0, index), first, second, ...sentences.slice(index + 1)];
+  }
+
+  /**
+   * Merge sentence `index` with the one after it.
+   */
+  function mergeWithNext(sentences, index) {
+    if (index < 0 || index >= sentences.length - 1) return sentences;
+
+    const a = sentences[index];
+    const b = sentences[index + 1];
+    // Each word's `sep` still says how it joined the next one in the stream.
+    const words = [..._wordsOf(a), ..._wordsOf(b)];
+
+    const merged = {
+      ...a,
+      text: ShadowTranscript.joinWords(words),
+      startTime: Math.min(a.startTime, b.startTime),
+      endTime: Math.max(a.endTime, b.endTime),
+      speechEnd: b.speechEnd,
+      words,
+    };
+    return [...sentences.slice(0, index), merged, ...sentences.slice(index + 2)];
+  }
+
+  /**
+   * Move a sentence's 'start' or 'end' edge by `delta` seconds, keeping at
+   * least MIN_DURATION between the edges.
+   */
+  function nudge(sentences, index, edge, delta) {
+    const sentence = sentences[index];
+    if (!sentence) return sentences;
+
+    const updated = { ...sentence };
+    if (edge === 'start') {
+      updated.startTime = _round(Math.max(0, Math.min(
+        sentence.startTime + delta,
+        sentence.endTime - MIN_DURATION
+      )));
+    } else {
+      updated.endTime = _round(Math.max(
+        sentence.endTime + delta,
+        sentence.startTime + MIN_DURATION
+      ));
+    }
+    return _replace(sentences, index, updated);
+  }
+
+  /**
+   * Replace a sentence's caption text. Word timings are re-spread across the
+   * sentence's span using the transcript's own tokenization for `lang`.
+   */
+  function setText(sentences, index, text, lang) {
+    const sentence = sentences[index];
+    const trimmed = (text || '').trim();
+    if (!sentence || !trimmed || trimmed === sentence.text) return sentences;
+
+    const retimed = ShadowTranscript.mergeIntoSentences([{
+      text: trimmed,
+      start: sentence.startTime,
+      duration: sentence.endTime - sentence.startTime,
+    }], { lang });
+    const words = retimed.flatMap((s) => s.words);
+
+    return _replace(sentences, index, { ...sentence, text: trimmed, words });
+  }
+
+  // ---- Persistence ----
+
+  /**
+   * Load the edited sentences saved for this video and transcript source
+   * (e.g. 'track:.en', 'file:lecture.srt'), or null if there are none.
+   */
+  async function load(videoId, sourceKey) {
+    if (!videoId) return null;
+    const saved = await ShadowStorage.get(ShadowStorage.videoKey('edits', videoId), {});
+    const entry = saved[sourceKey];
+    return entry && Array.isArray(entry.sentences) && entry.sentences.length > 0
+      ? entry.sentences
+      : null;
+  }
+
+  /**
+   * Save the edited sentences for this video and transcript source.
+   */
+  async function save(videoId, sourceKey, sentences) {
+    if (!videoId) return;
+    const key = ShadowStorage.videoKey('edits', videoId);
+    const saved = await ShadowStorage.get(key, {});
+    saved[sourceKey] = {
+      sentences: sentences.map((s) => ({
+        text: s.text,
+        startTime: s.startTime,
+        endTime: s.endTime,
+        speechEnd: s.speechEnd,
+        words: s.words,
+        speakerChange: s.speakerChange,
+        speaker: s.speaker,
+      })),
+      savedAt: Date.now(),
+    };
+    await ShadowStorage.set(key, saved);
+  }
+
+  /**
+   * Drop the saved edits for this video and transcript source.
+   */
+  async function clear(videoId, sourceKey) {
+    if (!videoId) return;
+    const key = ShadowStorage.videoKey('edits', videoId);
+    const saved = await ShadowStorage.get(key, {});
+    delete saved[sourceKey];
+    if (Object.keys(saved).length > 0) {
+      await ShadowStorage.set(key, saved);
+    } else {
+      await ShadowStorage.remove(key);
+    }
+  }
+
+  // ---- Private helpers ----
+
+  /**
+   * A sentence's timed words. Sentences without them (shouldn't happen for
+   * merged transcripts) get whitespace words spread evenly over their span.
+   */
+  function _wordsOf(sentence) {
+    if (sentence.words && sentence.words.length > 0) return sentence.words;
+    const parts = sentence.text.split(/\s+/).filter(Boolean);
+    const span = sentence.endTime - sentence.startTime;
+    return parts.map((word, i) => ({
+      word,
+      time: sentence.startTime + (span * i) / parts.length,
+      sep: ' ',
+    }));
+  }
+
+  function _replace(sentences, index, sentence) {
+    const copy = sentences.slice();
+    copy[index] = sentence;
+    return copy;
+  }
+
+  function _round(seconds) {
+    return Math.round(seconds * 1000) / 1000;
+  }
+
+  return { split, mergeWithNext, nudge, setText, load, save, clear };
+})();
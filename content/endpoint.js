@@ -0,0 +1,27 @@
+/**
+ * endpoint.js — Which local recognizer addresses are allowed.
+ *
+ * Shared by the content scripts (settings, local-speech.js) and the
+ * background service worker (importScripts), so both check the same list.
+ * Keep LOCAL_HOSTS in step with the http:// host_permissions in
+ * manifest.json.
+ */
+
+const ShadowEndpoint = (() => {
+  const LOCAL_HOSTS = ['localhost', '127.0.0.1'];
+
+  /**
+   * Whether `url` is a plain-http loopback address — the local backend
+   * exists so audio stays on the device.
+   */
+  function isLocal(url) {
+    try {
+      const parsed = new URL(url);
+      return parsed.protocol === 'http:' && LOCAL_HOSTS.includes(parsed.hostname);
+    } catch (err) {
+      return false;
+    }
+  }
+
+  return { isLocal };
+})();
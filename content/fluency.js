@@ -0,0 +1,61 @@
+/**
+ * fluency.js — Fluency metrics for an attempt: how quickly the learner
+ * started, how fast they spoke compared with the speaker, and how often
+ * they hesitated. Built on the voice timeline from ShadowSpeech.listen.
+ */
+
+const ShadowFluency = (() => {
+  // Pauses inside the learner's speech at least this long count as hesitations.
+  const HESITATION_SECONDS = 0.4;
+
+  /**
+   * Measure one attempt.
+   * @param {object} sentence - { startTime, endTime, speechEnd? } in media
+   *   seconds; the speaker stops talking at speechEnd when it is known
+   * @param {number} targetCount - words in the target sentence (the speaker's)
+   * @param {number} spokenCount - words recognized in the attempt (the learner's)
+   * @param {object} voice - listen() result's `voice`
+   * @param {number} [rate=1] - playback rate the learner heard the sentence at
+   * @returns {object|null} { latency, wpm, speakerWpm, paceRatio, hesitations,
+   *   hesitationTime } (seconds, words per minute; speakerWpm as heard), or
+   *   null without a timeline
+   */
+  function measure(sentence, targetCount, spokenCount, voice, rate = 1) {
+    if (!voice || targetCount === 0) return null;
+
+    // Gaps before the next sentence aren't the speaker's pace.
+    const speechEnd = Math.min(sentence.endTime, sentence.speechEnd ?? sentence.endTime);
+    const speakerSeconds = (speechEnd - sentence.startTime) / rate;
+    const wpm = voice.duration > 0 ? (spokenCount / voice.duration) * 60 : 0;
+    const speakerWpm = speakerSeconds > 0 ? (targetCount / speakerSeconds) * 60 : 0;
+    const hesitations = voice.pauses.filter((p) => p.duration >= HESITATION_SECONDS);
+
+    return {
+      latency: voice.latency,
+      wpm: Math.round(wpm),
+      speakerWpm: Math.round(speakerWpm),
+      // 1 = the speaker's pace; below 1 is slower.
+      paceRatio: speakerWpm > 0 ? wpm / speakerWpm : 0,
+      hesitations: hesitations.length,
+      hesitationTime: hesitations.reduce((sum, p) => sum + p.duration, 0),
+    };
+  }
+
+  /**
+   * Aggregate measured attempts (nulls are skipped) for the session summary.
+   * Returns null if none were measured.
+   */
+  function summarize(list) {
+    const measured = list.filter(Boolean);
+    if (measured.length === 0) return null;
+    const mean = (key) => measured.reduce((sum, m) => sum + m[key], 0) / measured.length;
+    return {
+      count: measured.length,
+      averageLatency: mean('latency'),
+      averagePace: mean('paceRatio'),
+      hesitationsPerSentence: mean('hesitations'),
+    };
+  }
+
+  return { measure, summarize };
+})();
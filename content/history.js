@@ -0,0 +1,110 @@
+/**
+ * history.js — Practice history per video: every scored or skipped attempt,
+ * and where the learner left off so the start screen can offer to resume.
+ *
+ * Stored under "history:<videoId>" as { progress, attempts }, where
+ * progress is { source, trackId, language, index, total, session, updatedAt }
+ * (`index` = the next sentence to practice) or null once a session finishes.
+ * "history:index" lists the videos with history ({ videoId, updatedAt });
+ * past MAX_VIDEOS, the least recently updated videos' history is dropped.
+ */
+
+const ShadowHistory = (() => {
+  // Oldest attempts are dropped past this many per video...
+  const MAX_ATTEMPTS = 200;
+  // ...and the least recently practiced videos past this many videos.
+  const INDEX_KEY = 'history:index';
+  const MAX_VIDEOS = 20;
+
+  // Writes run one at a time so quick successive attempts can't overwrite
+  // each other's read-modify-write.
+  let queue = Promise.resolve();
+
+  function _key(videoId) {
+    return ShadowStorage.videoKey('history', videoId);
+  }
+
+  /**
+   * This video's history ({ progress, attempts }); empty if there is none.
+   * Waits for pending writes, so it includes every attempt recorded so far.
+   */
+  async function load(videoId) {
+    await queue;
+    return _read(videoId);
+  }
+
+  /**
+   * Append an attempt ({ index, text, transcript, score, profile, speed,
+   * retry, skipped, time }; score is null when skipped) and move the resume
+   * point to `progress`.
+   */
+  function record(videoId, attempt, progress) {
+    return _update(videoId, (history) => {
+      history.attempts.push(attempt);
+      if (history.attempts.length > MAX_ATTEMPTS) {
+        history.attempts.splice(0, history.attempts.length - MAX_ATTEMPTS);
+      }
+      history.progress = progress;
+    });
+  }
+
+  /**
+   * The session reached the last sentence: keep the attempts, drop the
+   * resume point.
+   */
+  function finish(videoId) {
+    return _update(videoId, (history) => {
+      history.progress = null;
+    });
+  }
+
+  /**
+   * Delete this video's history.
+   */
+  function clear(videoId) {
+    if (!videoId) return Promise.resolve();
+    return _enqueue(async () => {
+      await ShadowStorage.remove(_key(videoId));
+      const index = await ShadowStorage.get(INDEX_KEY, []);
+      await ShadowStorage.set(INDEX_KEY, index.filter((item) => item.videoId !== videoId));
+    });
+  }
+
+  // ---- Private helpers ----
+
+  async function _read(videoId) {
+    const saved = videoId ? await ShadowStorage.get(_key(videoId)) : null;
+    return {
+      progress: (saved && saved.progress) || null,
+      attempts: (saved && Array.isArray(saved.attempts)) ? saved.attempts : [],
+    };
+  }
+
+  function _update(videoId, change) {
+    if (!videoId) return Promise.resolve();
+    return _enqueue(async () => {
+      const history = await _read(videoId);
+      change(history);
+      await ShadowStorage.set(_key(videoId), history);
+      await _touch(videoId);
+    });
+  }
+
+  /** Mark a video as just updated, dropping the stalest past MAX_VIDEOS. */
+  async function _touch(videoId) {
+    const index = (await ShadowStorage.get(INDEX_KEY, [])).filter((item) => item.videoId !== videoId);
+    index.unshift({ videoId, updatedAt: Date.now() });
+    const evicted = index.splice(MAX_VIDEOS);
+    if (evicted.length > 0) await ShadowStorage.remove(evicted.map((item) => _key(item.videoId)));
+    await ShadowStorage.set(INDEX_KEY, index);
+  }
+
+  function _enqueue(task) {
+    queue = queue
+      .then(task)
+      .catch((err) => console.warn('[ShadowTalk] Could not save history:', err));
+    return queue;
+  }
+
+  return { load, record, finish, clear };
+})();
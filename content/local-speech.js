@@ -0,0 +1,189 @@
+/**
+ * local-speech.js — Speech recognition backend that records the attempt and
+ * posts it to a recognizer running on this machine (e.g. a whisper.cpp or
+ * Vosk server), so audio never leaves the device.
+ *
+ * The attempt is sent as 16 kHz mono WAV in a multipart form ("file",
+ * "language", "response_format") through the background service worker,
+ * which is the only context allowed to reach localhost. Responses may be
+ * whisper-style ({ text, segments: [{ words }] }), Vosk-style
+ * ({ text, result: [{ word, start, end, conf }] }) or plain text.
+ *
+ * Registers itself as the 'local' ShadowSpeech backend.
+ */
+
+const ShadowLocalSpeech = (() => {
+  const SAMPLE_RATE = 16000;
+  // Used only when ShadowSpeech couldn't start voice activity detection.
+  const FALLBACK_LISTEN_MS = 10000;
+
+  // The attempt in progress: { finish(keep) }.
+  let active = null;
+
+  function isSupported() {
+    return !!(navigator.mediaDevices && navigator.mediaDevices.getUserMedia &&
+      window.MediaRecorder && window.OfflineAudioContext);
+  }
+
+  /**
+   * Wait until the attempt is stopped (ShadowSpeech's voice activity
+   * detection calls stop() when the learner goes quiet), then transcribe its
+   * recording — the one ShadowSpeech made, from takeRecording() — on
+   * `endpoint`. Resolves with the ShadowSpeech result shape; rejects if
+   * nothing could be recorded or the server can't be reached or answers with
+   * an error.
+   */
+  async function listen(lang, { endpoint, timeout, silenceTimeout, takeRecording }) {
+    if (!ShadowEndpoint.isLocal(endpoint)) {
+      throw new Error('The local recognizer address must be on localhost.');
+    }
+
+    const attempt = {};
+    active = attempt;
+    const kept = await new Promise((resolve) => {
+      // Without voice activity detection, a fixed window stands in.
+      const limit = silenceTimeout === null ? timeout : Math.min(timeout, FALLBACK_LISTEN_MS);
+      const overallTimer = setTimeout(() => finish(true), limit);
+
+      const finish = (keep) => {
+        clearTimeout(overallTimer);
+        if (active === attempt) active = null;
+        resolve(keep);
+      };
+      attempt.finish = finish;
+    });
+
+    const recording = await takeRecording();
+    if (!kept) return { transcript: '', confidence: 0, segments: [] };
+    if (!recording) throw new Error('Could not record the attempt — check that the microphone is allowed.');
+
+    const audio = await _toWavBase64(recording.blob);
+    const response = await chrome.runtime.sendMessage({
+      action: 'transcribe',
+      endpoint,
+      language: lang.split('-')[0],
+      audio,
+    });
+    if (!response || !response.ok) {
+      throw new Error((response && response.error) || 'The local recognizer did not answer.');
+    }
+    return _parseResponse(response.data);
+  }
+
+  /** Finish the attempt now and transcribe what was said. */
+  function stop() {
+    _finish(true);
+  }
+
+  /** Finish the attempt now and discard it. */
+  function abort() {
+    _finish(false);
+  }
+
+  function _finish(keep) {
+    if (active) active.finish(keep);
+  }
+
+  // ---- Private helpers ----
+
+  /**
+   * Decode the recording to 16 kHz mono and encode it as base64 16-bit WAV.
+   */
+  async function _toWavBase64(blob) {
+    const offline = new OfflineAudioContext(1, 1, SAMPLE_RATE);
+    const decoded = await offline.decodeAudioData(await blob.arrayBuffer());
+    const samples = decoded.getChannelData(0);
+
+    const buffer = new ArrayBuffer(44 + samples.length * 2);
+    const view = new DataView(buffer);
+    const writeString = (offset, text) => {
+      for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i));
+    };
+    writeString(0, 'RIFF');
+    view.setUint32(4, 36 + samples.length * 2, true);
+    writeString(8, 'WAVE');
+    writeString(12, 'fmt ');
+    view.setUint32(16, 16, true);          // fmt chunk size
+    view.setUint16(20, 1, true);           // PCM
+    view.setUint16(22, 1, true);           // mono
+    view.setUint32(24, SAMPLE_RATE, true);
+    view.setUint32(28, SAMPLE_RATE * 2, true); // byte rate
+    view.setUint16(32, 2, true);           // block align
+    view.setUint16(34, 16, true);          // bits per sample
+    writeString(36, 'data');
+    view.setUint32(40, samples.length * 2, true);
+    for (let i = 0; i < samples.length; i++) {
+      const clamped = Math.max(-1, Math.min(1, samples[i]));
+      view.setInt16(44 + i * 2, clamped < 0 ? clamped * 0x8000 : clamped * 0x7FFF, true);
+    }
+
+    const bytes = new Uint8Array(buffer);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  }
+
+  /** A 0-1 confidence, or 0 when the value isn't one (e.g. Vosk log scores). */
+  function _confidence(value) {
+    return typeof value === 'number' && value >= 0 && value <= 1 ? value : 0;
+  }
+
+  /**
+   * Turn a recognizer server's response into the ShadowSpeech result shape.
+   */
+  function _parseResponse(data) {
+    if (typeof data === 'string') data = { text: data };
+    data = data || {};
+
+    const rawWords = Array.isArray(data.result) ? data.result
+      : Array.isArray(data.words) ? data.words
+      : Array.isArray(data.segments) ? data.segments.flatMap((seg) => seg.words || [])
+      : [];
+    const words = rawWords
+      .map((w) => ({
+        word: String(w.word || w.text || '').trim(),
+        start: Number(w.start) || 0,
+        end: Number(w.end) || 0,
+        confidence: _confidence(w.conf ?? w.probability ?? w.confidence),
+      }))
+      .filter((w) => w.word);
+
+    const text = String(
+      data.text ?? data.transcript ??
+      (data.alternatives && data.alternatives[0] && data.alternatives[0].text) ??
+      words.map((w) => w.word).join(' ')
+    ).trim();
+
+    const scored = words.filter((w) => w.confidence > 0);
+    const confidence = scored.length > 0
+      ? scored.reduce((sum, w) => sum + w.confidence, 0) / scored.length
+      : _confidence(data.confidence);
+
+    let segments = [];
+    if (Array.isArray(data.alternatives) && data.alternatives.length > 0) {
+      segments = [{
+        isFinal: true,
+        alternatives: data.alternatives.map((alt) => ({
+          transcript: String(alt.text || alt.transcript || ''),
+          confidence: _confidence(alt.confidence),
+        })),
+      }];
+    } else if (words.length > 0 && scored.length === words.length) {
+      // One segment per word, so scoring can flag exactly the unsure words.
+      segments = words.map((w, i) => ({
+        isFinal: true,
+        alternatives: [{ transcript: (i > 0 ? ' ' : '') + w.word, confidence: w.confidence }],
+      }));
+    } else if (text) {
+      segments = [{ isFinal: true, alternatives: [{ transcript: text, confidence }] }];
+    }
+
+    return { transcript: text, confidence, segments, words };
+  }
+
+  const backend = { isSupported, listen, stop, abort };
+  ShadowSpeech.registerBackend('local', backend);
+  return backend;
+})();
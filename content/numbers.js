@@ -0,0 +1,475 @@
+/**
+ * numbers.js — Spell out numerals before scoring.
+ *
+ * Captions write "24", "$5", "3rd", "50%" or "1990" where the recognizer
+ * returns "twenty-four", "five dollars", "third", "fifty percent" or
+ * "nineteen ninety" — and the other way round. Both sides are turned into the
+ * spoken form so they align word for word.
+ *
+ * English covers cardinals, decimals, ordinals, years and decades,
+ * percentages, currency and clock times. Spanish, French, German, Italian,
+ * Portuguese and Dutch cover cardinals, decimals, percentages, currency and
+ * times; German and Dutch also years. Other languages are left as written.
+ *
+ * Examples (caption → spoken form both sides are compared in):
+ *   "-5"          → "minus five"
+ *   "$1.50"       → "one dollar fifty" (an added "cents" costs less than a
+ *                   missing one, so it isn't required)
+ *   "$.50"        → "fifty cents"
+ *   "5pm", "5 p.m." → "five pm"; "5:30am" → "five thirty am"
+ *   "1990" (de)   → "neunzehnhundertneunzig"; (nl) → "negentienhonderdnegentig"
+ */
+
+const ShadowNumbers = (() => {
+  // Longer digit runs (phone numbers, IDs) are read digit by digit.
+  const MAX_DIGITS = 12;
+
+  // ---- English ----
+
+  const EN_ONES = [
+    'zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine',
+    'ten', 'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen',
+    'seventeen', 'eighteen', 'nineteen',
+  ];
+  const EN_TENS = ['', '', 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'];
+  const EN_ORDINALS = {
+    one: 'first', two: 'second', three: 'third', five: 'fifth',
+    eight: 'eighth', nine: 'ninth', twelve: 'twelfth',
+  };
+
+  function enCardinal(n) {
+    if (n < 20) return EN_ONES[n];
+    if (n < 100) return EN_TENS[Math.floor(n / 10)] + (n % 10 ? '-' + EN_ONES[n % 10] : '');
+    if (n < 1000) {
+      return EN_ONES[Math.floor(n / 100)] + ' hundred' + (n % 100 ? ' ' + enCardinal(n % 100) : '');
+    }
+    return _scaled(n, enCardinal, [[1e9, 'billion'], [1e6, 'million'], [1e3, 'thousand']], ' ');
+  }
+
+  function enOrdinal(n) {
+    return enCardinal(n).replace(/[a-z]+$/, (last) =>
+      EN_ORDINALS[last] || (last.endsWith('y') ? last.slice(0, -1) + 'ieth' : last + 'th'));
+  }
+
+  /** 1990 → "nineteen ninety", 1905 → "nineteen oh five", 2005 → "two thousand five". */
+  function enYear(n) {
+    if (n >= 2000 && n < 2010) return enCardinal(n);
+    const high = Math.floor(n / 100);
+    const low = n % 100;
+    if (low === 0) return enCardinal(high) + ' hundred';
+    return enCardinal(high) + ' ' + (low < 10 ? 'oh ' + EN_ONES[low] : enCardinal(low));
+  }
+
+  /** Plural of a spelled-out number: "ninety" → "nineties", "six" → "sixes". */
+  function enPlural(words) {
+    return words.replace(/[a-z]+$/, (last) =>
+      last.endsWith('y') ? last.slice(0, -1) + 'ies' : last.endsWith('x') ? last + 'es' : last + 's');
+  }
+
+  /** 1990 → "neunzehnhundertneunzig"; from 2000 years read as numbers. */
+  function deYear(n) {
+    if (n >= 2000) return deCardinal(n);
+    return deCardinal(Math.floor(n / 100)) + 'hundert' + (n % 100 ? deCardinal(n % 100) : '');
+  }
+
+  // ---- Spanish ----
+
+  const ES_SMALL = [
+    'cero', 'uno', 'dos', 'tres', 'cuatro', 'cinco', 'seis', 'siete', 'ocho', 'nueve',
+    'diez', 'once', 'doce', 'trece', 'catorce', 'quince', 'dieciséis', 'diecisiete',
+    'dieciocho', 'diecinueve', 'veinte', 'veintiuno', 'veintidós', 'veintitrés',
+    'veinticuatro', 'veinticinco', 'veintiséis', 'veintisiete', 'veintiocho', 'veintinueve',
+  ];
+  const ES_TENS = ['', '', '', 'treinta', 'cuarenta', 'cincuenta', 'sesenta', 'setenta', 'ochenta', 'noventa'];
+  const ES_HUNDREDS = [
+    '', 'ciento', 'doscientos', 'trescientos', 'cuatrocientos', 'quinientos',
+    'seiscientos', 'setecientos', 'ochocientos', 'novecientos',
+  ];
+
+  function esCardinal(n) {
+    if (n < 30) return ES_SMALL[n];
+    if (n < 100) return ES_TENS[Math.floor(n / 10)] + (n % 10 ? ' y ' + ES_SMALL[n % 10] : '');
+    if (n === 100) return 'cien';
+    if (n < 1000) return ES_HUNDREDS[Math.floor(n / 100)] + (n % 100 ? ' ' + esCardinal(n % 100) : '');
+    if (n < 1e6) {
+      const thousands = Math.floor(n / 1000);
+      return (thousands === 1 ? 'mil' : esApocope(esCardinal(thousands)) + ' mil') +
+        (n % 1000 ? ' ' + esCardinal(n % 1000) : '');
+    }
+    const millions = Math.floor(n / 1e6);
+    return (millions === 1 ? 'un millón' : esApocope(esCardinal(millions)) + ' millones') +
+      (n % 1e6 ? ' ' + esCardinal(n % 1e6) : '');
+  }
+
+  /** "uno" shortens before a noun: "veintiún euros", "un millón". */
+  function esApocope(words) {
+    return words.replace(/veintiuno$/, 'veintiún').replace(/\buno$/, 'un');
+  }
+
+  // ---- French ----
+
+  const FR_SMALL = [
+    'zéro', 'un', 'deux', 'trois', 'quatre', 'cinq', 'six', 'sept', 'huit', 'neuf',
+    'dix', 'onze', 'douze', 'treize', 'quatorze', 'quinze', 'seize',
+  ];
+  const FR_TENS = ['', '', 'vingt', 'trente', 'quarante', 'cinquante', 'soixante'];
+
+  function frCardinal(n) {
+    if (n < 17) return FR_SMALL[n];
+    if (n < 20) return 'dix-' + FR_SMALL[n - 10];
+    if (n < 70) {
+      const unit = n % 10;
+      return FR_TENS[Math.floor(n / 10)] + (unit === 0 ? '' : unit === 1 ? ' et un' : '-' + FR_SMALL[unit]);
+    }
+    if (n < 80) return 'soixante' + (n === 71 ? ' et ' : '-') + frCardinal(n - 60);
+    if (n < 100) return n === 80 ? 'quatre-vingts' : 'quatre-vingt-' + frCardinal(n - 80);
+    if (n < 1000) {
+      const hundreds = Math.floor(n / 100);
+      const rest = n % 100;
+      return (hundreds === 1 ? 'cent' : FR_SMALL[hundreds] + ' cent' + (rest ? '' : 's')) +
+        (rest ? ' ' + frCardinal(rest) : '');
+    }
+    if (n < 1e6) {
+      const thousands = Math.floor(n / 1000);
+      return (thousands === 1 ? 'mille' : frCardinal(thousands).replace(/(vingt|cent)s$/, '$1') + ' mille') +
+        (n % 1000 ? ' ' + frCardinal(n % 1000) : '');
+    }
+    const millions = Math.floor(n / 1e6);
+    return frCardinal(millions) + (millions > 1 ? ' millions' : ' million') +
+      (n % 1e6 ? ' ' + frCardinal(n % 1e6) : '');
+  }
+
+  // ---- German ----
+
+  const DE_SMALL = [
+    'null', 'eins', 'zwei', 'drei', 'vier', 'fünf', 'sechs', 'sieben', 'acht', 'neun',
+    'zehn', 'elf', 'zwölf', 'dreizehn', 'vierzehn', 'fünfzehn', 'sechzehn', 'siebzehn',
+    'achtzehn', 'neunzehn',
+  ];
+  const DE_TENS = ['', '', 'zwanzig', 'dreißig', 'vierzig', 'fünfzig', 'sechzig', 'siebzig', 'achtzig', 'neunzig'];
+
+  function deCardinal(n) {
+    if (n < 20) return DE_SMALL[n];
+    if (n < 100) {
+      const unit = n % 10;
+      return (unit ? (unit === 1 ? 'ein' : DE_SMALL[unit]) + 'und' : '') + DE_TENS[Math.floor(n / 10)];
+    }
+    if (n < 1000) {
+      const hundreds = Math.floor(n / 100);
+      return (hundreds === 1 ? 'ein' : DE_SMALL[hundreds]) + 'hundert' + (n % 100 ? deCardinal(n % 100) : '');
+    }
+    if (n < 1e6) {
+      const thousands = Math.floor(n / 1000);
+      return deCardinal(thousands).replace(/eins$/, 'ein') + 'tausend' + (n % 1000 ? deCardinal(n % 1000) : '');
+    }
+    const millions = Math.floor(n / 1e6);
+    return (millions === 1 ? 'eine million' : deCardinal(millions) + ' millionen') +
+      (n % 1e6 ? ' ' + deCardinal(n % 1e6) : '');
+  }
+
+  // ---- Italian ----
+
+  const IT_SMALL = [
+    'zero', 'uno', 'due', 'tre', 'quattro', 'cinque', 'sei', 'sette', 'otto', 'nove',
+    'dieci', 'undici', 'dodici', 'tredici', 'quattordici', 'quindici', 'sedici',
+    'diciassette', 'diciotto', 'diciannove',
+  ];
+  const IT_TENS = ['', '', 'venti', 'trenta', 'quaranta', 'cinquanta', 'sessanta', 'settanta', 'ottanta', 'novanta'];
+
+  function itCardinal(n) {
+    if (n < 20) return IT_SMALL[n];
+    if (n < 100) {
+      const unit = n % 10;
+      const tens = IT_TENS[Math.floor(n / 10)];
+      if (unit === 0) return tens;
+      // "venti" + "uno" → "ventuno"; a final "tre" takes an accent.
+      return (unit === 1 || unit === 8 ? tens.slice(0, -1) : tens) + (unit === 3 ? 'tré' : IT_SMALL[unit]);
+    }
+    if (n < 1000) {
+      const hundreds = Math.floor(n / 100);
+      return (hundreds === 1 ? '' : IT_SMALL[hundreds]) + 'cento' + (n % 100 ? itCardinal(n % 100) : '');
+    }
+    if (n < 1e6) {
+      const thousands = Math.floor(n / 1000);
+      return (thousands === 1 ? 'mille' : itCardinal(thousands) + 'mila') + (n % 1000 ? itCardinal(n % 1000) : '');
+    }
+    const millions = Math.floor(n / 1e6);
+    return (millions === 1 ? 'un milione' : itCardinal(millions) + ' milioni') +
+      (n % 1e6 ? ' ' + itCardinal(n % 1e6) : '');
+  }
+
+  // ---- Portuguese (Brazilian spelling) ----
+
+  const PT_SMALL = [
+    'zero', 'um', 'dois', 'três', 'quatro', 'cinco', 'seis', 'sete', 'oito', 'nove',
+    'dez', 'onze', 'doze', 'treze', 'quatorze', 'quinze', 'dezesseis', 'dezessete',
+    'dezoito', 'dezenove',
+  ];
+  const PT_TENS = ['', '', 'vinte', 'trinta', 'quarenta', 'cinquenta', 'sessenta', 'setenta', 'oitenta', 'noventa'];
+  const PT_HUNDREDS = [
+    '', 'cento', 'duzentos', 'trezentos', 'quatrocentos', 'quinhentos',
+    'seiscentos', 'setecentos', 'oitocentos', 'novecentos',
+  ];
+
+  function ptCardinal(n) {
+    if (n < 20) return PT_SMALL[n];
+    if (n < 100) return PT_TENS[Math.floor(n / 10)] + (n % 10 ? ' e ' + PT_SMALL[n % 10] : '');
+    if (n === 100) return 'cem';
+    if (n < 1000) return PT_HUNDREDS[Math.floor(n / 100)] + (n % 100 ? ' e ' + ptCardinal(n % 100) : '');
+    if (n < 1e6) {
+      const thousands = Math.floor(n / 1000);
+      const rest = n % 1000;
+      // "mil e cem", "mil e vinte" — but "mil duzentos e cinco".
+      const joiner = rest < 100 || rest % 100 === 0 ? ' e ' : ' ';
+      return (thousands === 1 ? 'mil' : ptCardinal(thousands) + ' mil') + (rest ? joiner + ptCardinal(rest) : '');
+    }
+    const millions = Math.floor(n / 1e6);
+    return (millions === 1 ? 'um milhão' : ptCardinal(millions) + ' milhões') +
+      (n % 1e6 ? ' ' + ptCardinal(n % 1e6) : '');
+  }
+
+  // ---- Dutch ----
+
+  const NL_SMALL = [
+    'nul', 'een', 'twee', 'drie', 'vier', 'vijf', 'zes', 'zeven', 'acht', 'negen',
+    'tien', 'elf', 'twaalf', 'dertien', 'veertien', 'vijftien', 'zestien', 'zeventien',
+    'achttien', 'negentien',
+  ];
+  const NL_TENS = ['', '', 'twintig', 'dertig', 'veertig', 'vijftig', 'zestig', 'zeventig', 'tachtig', 'negentig'];
+
+  function nlCardinal(n) {
+    if (n < 20) return NL_SMALL[n];
+    if (n < 100) {
+      const unit = NL_SMALL[n % 10];
+      // "tweeëntwintig": a trema keeps "e" + "en" apart.
+      return n % 10 ? unit + (unit.endsWith('e') ? 'ën' : 'en') + NL_TENS[Math.floor(n / 10)] : NL_TENS[n / 10];
+    }
+    if (n < 1000) {
+      const hundreds = Math.floor(n / 100);
+      return (hundreds === 1 ? '' : NL_SMALL[hundreds]) + 'honderd' + (n % 100 ? nlCardinal(n % 100) : '');
+    }
+    if (n < 1e6) {
+      const thousands = Math.floor(n / 1000);
+      return (thousands === 1 ? '' : nlCardinal(thousands)) + 'duizend' + (n % 1000 ? ' ' + nlCardinal(n % 1000) : '');
+    }
+    const millions = Math.floor(n / 1e6);
+    return nlCardinal(millions) + ' miljoen' + (n % 1e6 ? ' ' + nlCardinal(n % 1e6) : '');
+  }
+
+  /** 1990 → "negentienhonderdnegentig"; from 2000 years read as numbers. */
+  function nlYear(n) {
+    if (n >= 2000) return nlCardinal(n);
+    return nlCardinal(Math.floor(n / 100)) + 'honderd' + (n % 100 ? nlCardinal(n % 100) : '');
+  }
+
+  /** Split `n` by the largest scale it reaches: "two million five". */
+  function _scaled(n, cardinal, scales, joiner) {
+    for (const [value, name] of scales) {
+      if (n >= value) {
+        const rest = n % value;
+        return cardinal(Math.floor(n / value)) + ' ' + name + (rest ? joiner + cardinal(rest) : '');
+      }
+    }
+    return cardinal(n);
+  }
+
+  /**
+   * Per-language rules. `decimal` / `thousands` are the written separators;
+   * `currency` maps a symbol to [singular, plural] unit names; `year`, where
+   * set, reads a bare four-digit number from 1100 to 2099 as a year.
+   */
+  const LANGUAGES = {
+    en: {
+      cardinal: enCardinal, decimal: '.', thousands: ',', point: 'point', percent: 'percent', minus: 'minus',
+      year: enYear,
+      currency: { '$': ['dollar', 'dollars'], '€': ['euro', 'euros'], '£': ['pound', 'pounds'], '¥': ['yen', 'yen'] },
+      cents: { '$': ['cent', 'cents'], '€': ['cent', 'cents'], '£': ['penny', 'pence'] },
+      scales: { thousand: 1e3, k: 1e3, million: 1e6, m: 1e6, billion: 1e9, bn: 1e9 },
+      digitsAfterPoint: true,
+    },
+    es: {
+      cardinal: esCardinal, decimal: ',', thousands: '.', point: 'coma', percent: 'por ciento', minus: 'menos',
+      currency: { '$': ['dólar', 'dólares'], '€': ['euro', 'euros'], '£': ['libra', 'libras'] },
+      beforeNoun: esApocope,
+    },
+    fr: {
+      cardinal: frCardinal, decimal: ',', thousands: '\u00A0\u202F', point: 'virgule', percent: 'pour cent',
+      minus: 'moins',
+      currency: { '$': ['dollar', 'dollars'], '€': ['euro', 'euros'], '£': ['livre', 'livres'] },
+    },
+    de: {
+      cardinal: deCardinal, decimal: ',', thousands: '.', point: 'komma', percent: 'prozent', minus: 'minus',
+      year: deYear,
+      currency: { '$': ['dollar', 'dollar'], '€': ['euro', 'euro'], '£': ['pfund', 'pfund'] },
+      beforeNoun: (words) => words.replace(/eins$/, 'ein'),
+    },
+    it: {
+      cardinal: itCardinal, decimal: ',', thousands: '.', point: 'virgola', percent: 'per cento', minus: 'meno',
+      currency: { '$': ['dollaro', 'dollari'], '€': ['euro', 'euro'], '£': ['sterlina', 'sterline'] },
+      beforeNoun: (words) => words.replace(/uno$/, 'un'),
+    },
+    pt: {
+      cardinal: ptCardinal, decimal: ',', thousands: '.', point: 'vírgula', percent: 'por cento', minus: 'menos',
+      currency: { '$': ['dólar', 'dólares'], 'R$': ['real', 'reais'], '€': ['euro', 'euros'], '£': ['libra', 'libras'] },
+    },
+    nl: {
+      cardinal: nlCardinal, decimal: ',', thousands: '.', point: 'komma', percent: 'procent', minus: 'min',
+      year: nlYear,
+      currency: { '$': ['dollar', 'dollar'], '€': ['euro', 'euro'], '£': ['pond', 'pond'] },
+    },
+  };
+
+  function _rules(lang) {
+    return LANGUAGES[(lang || 'en').toLowerCase().split('-')[0]] || null;
+  }
+
+  /** Whether numerals in `lang` are spelled out. */
+  function isSupported(lang) {
+    return !!_rules(lang);
+  }
+
+  function _escape(chars) {
+    return chars.replace(/[.\\$^*+?()[\]{}|-]/g, '\\$&');
+  }
+
+  /** A regex source matching one written number in this language. */
+  function _numberPattern(rules) {
+    const thousands = `[${_escape(rules.thousands)}]`;
+    const decimal = _escape(rules.decimal);
+    return `\\d{1,3}(?:${thousands}\\d{3})+(?:${decimal}\\d+)?|\\d+(?:${decimal}\\d+)?`;
+  }
+
+  /** Parse a written number into { whole, fraction } digit strings. */
+  function _parse(text, rules) {
+    const [whole, fraction = ''] = text.split(rules.decimal);
+    return { whole: whole.replace(/\D/g, ''), fraction };
+  }
+
+  function _digits(digits, rules) {
+    return Array.from(digits, (d) => rules.cardinal(Number(d))).join(' ');
+  }
+
+  function _wholeWords(digits, rules) {
+    return digits.length > MAX_DIGITS ? _digits(digits, rules) : rules.cardinal(Number(digits));
+  }
+
+  /** Spell a written number: "3.14" → "three point one four". */
+  function _spellNumber(text, rules) {
+    const { whole, fraction } = _parse(text, rules);
+    let words = _wholeWords(whole, rules);
+    if (fraction) {
+      // English reads decimals digit by digit; the others as a number ("tres coma catorce").
+      const fractionWords = rules.digitsAfterPoint || /^0/.test(fraction)
+        ? _digits(fraction, rules)
+        : _wholeWords(fraction, rules);
+      words += ` ${rules.point} ${fractionWords}`;
+    }
+    return words;
+  }
+
+  /**
+   * "5" + "$" → "five dollars"; "1" → "one dollar". Cents are read after the
+   * unit without their own name ("one dollar fifty"), or alone when there
+   * are no whole units (".50" → "fifty cents").
+   */
+  function _spellMoney(text, symbol, scaleWord, rules) {
+    const [singular, plural] = rules.currency[symbol];
+    const { whole, fraction } = _parse(text, rules);
+    const noun = (words) => (rules.beforeNoun ? rules.beforeNoun(words) : words);
+
+    if (scaleWord) {
+      // "$5 million" / "$2.5bn" → "five million dollars" / "two point five billion dollars"
+      const scale = rules.scales[scaleWord.toLowerCase()];
+      const scaleName = { 1e3: 'thousand', 1e6: 'million', 1e9: 'billion' }[scale];
+      return `${_spellNumber(text, rules)} ${scaleName} ${plural}`;
+    }
+
+    const cents = rules.cents && rules.cents[symbol];
+    const hasCents = fraction && cents && fraction.length === 2 && Number(fraction) > 0;
+    if (hasCents && Number(whole) === 0) {
+      return `${_wholeWords(fraction, rules)} ${Number(fraction) === 1 ? cents[0] : cents[1]}`;
+    }
+
+    let words = `${noun(_wholeWords(whole, rules))} ${Number(whole) === 1 ? singular : plural}`;
+    if (hasCents) {
+      words += ` ${_wholeWords(fraction, rules)}`;
+    } else if (fraction) {
+      words = `${_spellNumber(text, rules)} ${plural}`;
+    }
+    return words;
+  }
+
+  /** "3:30" → "three thirty", "3:05" → "three oh five", "3:00" → "three o'clock". */
+  function _spellTime(hours, minutes, rules, isEnglish) {
+    const h = rules.cardinal(Number(hours));
+    const m = Number(minutes);
+    if (!isEnglish) return m === 0 ? h : `${h} ${rules.cardinal(m)}`;
+    if (m === 0) return `${h} o'clock`;
+    return `${h} ${m < 10 ? 'oh ' + EN_ONES[m] : enCardinal(m)}`;
+  }
+
+  /**
+   * Replace the numerals in `text` with their spoken form for `lang`.
+   * Unsupported languages get the text back unchanged.
+   */
+  function spellOut(text, lang) {
+    const rules = _rules(lang);
+    if (!text || !rules || !/\d/.test(text)) return text;
+    const isEnglish = rules === LANGUAGES.en;
+    const num = _numberPattern(rules);
+    const symbols = Object.keys(rules.currency)
+      .sort((a, b) => b.length - a.length)
+      .map(_escape)
+      .join('|');
+    const scales = rules.scales ? Object.keys(rules.scales).join('|') : null;
+    // A minus sign before a number, not a dash between two ("5-10").
+    let out = text.replace(/(^|[\s(])[-\u2212](?=\d)/g, `$1${rules.minus} `);
+
+    // Currency before the number ("$5", "R$ 10", "$2.5 million", "$.50").
+    const prefixed = new RegExp(
+      `(${symbols})\\s?(${num}|${_escape(rules.decimal)}\\d+)${scales ? `(?:\\s?(${scales})\\b)?` : ''}`, 'gi');
+    out = out.replace(prefixed, (m, symbol, value, scale) =>
+      _spellMoney(value, symbol.toUpperCase() === 'R$' ? 'R$' : symbol, scales ? scale : null, rules));
+
+    // Currency after the number ("5 €", "10$").
+    out = out.replace(new RegExp(`(${num})\\s?(${symbols})`, 'g'), (m, value, symbol) =>
+      _spellMoney(value, symbol, null, rules));
+
+    // Percentages.
+    out = out.replace(new RegExp(`(${num})\\s?%`, 'g'), (m, value) =>
+      `${_spellNumber(value, rules)} ${rules.percent}`);
+
+    // 12-hour times ("5pm", "5:30 a.m."), read the way "pm" is written out.
+    if (isEnglish) {
+      out = out.replace(/\b(1[0-2]|0?[1-9])(?::([0-5]\d))?\s?([ap])\.?m\b\.?/gi, (m, h, min, half) =>
+        (Number(min || 0) === 0 ? enCardinal(Number(h)) : _spellTime(h, min, rules, true)) +
+        ` ${half.toLowerCase()}m`);
+    }
+
+    // Clock times.
+    out = out.replace(/\b([01]?\d|2[0-3]):([0-5]\d)\b/g, (m, h, min) =>
+      _spellTime(h, min, rules, isEnglish));
+
+    if (isEnglish) {
+      // Ordinals ("3rd", "21st").
+      out = out.replace(/\b(\d+)(st|nd|rd|th)\b/gi, (m, value) =>
+        value.length > MAX_DIGITS ? _digits(value, rules) : enOrdinal(Number(value)));
+      // Decades ("1990s", "'90s").
+      out = out.replace(/\b(1[1-9]\d0|20\d0)'?s\b/g, (m, year) => enPlural(enYear(Number(year))));
+      out = out.replace(/(^|\s)'([2-9])0s\b/g, (m, before, tens) => before + enPlural(EN_TENS[Number(tens)]));
+    }
+
+    // Years: bare four-digit numbers from 1100 to 2099.
+    if (rules.year) {
+      out = out.replace(/(^|[^\d.,])\b(1[1-9]\d\d|20\d\d)\b(?![.,]\d)/g, (m, before, year) =>
+        before + rules.year(Number(year)));
+    }
+
+    // Everything else.
+    out = out.replace(new RegExp(`\\b(?:${num})\\b`, 'g'), (value) => _spellNumber(value, rules));
+
+    return out.replace(/\s+/g, ' ').trim();
+  }
+
+  return { spellOut, isSupported };
+})();
@@ -1,7 +1,10 @@
 /**
  * page-bridge.js — Runs in the MAIN world (page context).
- * Gets transcript by opening YouTube's transcript panel and reading the DOM.
- * No API calls needed — YouTube handles auth internally.
+ * Reads the caption track list from the player response, then gets the
+ * transcript by fetching the track's timedtext URL (the same request the
+ * player makes for its own subtitles). Falls back to opening YouTube's
+ * transcript panel and reading the DOM.
+ * No API key needed — YouTube handles auth internally.
  */
 
 (() => {
@@ -11,7 +14,13 @@
     try {
       let result;
       if (action === 'getTranscript') {
-        result = await _getTranscript();
+        result = await _getTranscript(args && args.preferredLang);
+      } else if (action === 'getTracks') {
+        result = _getCaptionTracks().map(_describeTrack);
+      } else if (action === 'resolveTrack') {
+        // The vssId getTranscript would use for this preference, or null.
+        const track = _pickTrack(_getCaptionTracks(), args && args.preferredLang);
+        result = track ? track.vssId : null;
       } else {
         throw new Error('Unknown action: ' + action);
       }
@@ -27,36 +36,269 @@
   });
 
   /**
-   * Main: open transcript panel, scrape segments, close panel.
+   * Main: pick the caption track, then fetch its timedtext. If that fails,
+   * open transcript panel, scrape segments, close panel.
+   *
+   * `preferredLang` may be a track's vssId (".es", "a.ja") or a language code
+   * ("es", "pt-BR", "ja-JP"); see _pickTrack.
    */
-  async function _getTranscript() {
+  async function _getTranscript(preferredLang) {
+    const tracks = _getCaptionTracks();
+    const track = _pickTrack(tracks, preferredLang);
+    const meta = _trackMeta(track, tracks);
+
+    // Strategy 1: fetch the timedtext track directly — no panel flicker, and
+    // millisecond timings instead of the panel's whole-second "m:ss".
+    if (track && track.baseUrl) {
+      const timed = await _fetchTimedText(track.baseUrl);
+      if (timed) {
+        console.log('[ShadowTalk Bridge] Fetched timedtext', timed.fmt, 'for', track.vssId);
+        return { ...timed, ...meta };
+      }
+    }
+
+    // Strategy 2: scrape the transcript panel.
     console.log('[ShadowTalk Bridge] Getting transcript via DOM scraping...');
 
     // Step 1: Check if transcript panel is already open
     let segments = _scrapeTranscriptPanel();
-    if (segments.length > 0) {
-      console.log('[ShadowTalk Bridge] Transcript panel already open, got', segments.length, 'segments');
-      return { segments, language: 'en', trackName: 'Transcript', allTracks: [] };
+    const wasOpen = segments.length > 0;
+
+    // Step 2: Open the transcript panel and wait for segments to load
+    if (!wasOpen) {
+      const opened = await _openTranscriptPanel();
+      if (!opened) {
+        throw new Error('Could not open transcript panel. This video may not have captions.');
+      }
+      segments = await _waitForSegments(8000);
     }
 
-    // Step 2: Open the transcript panel
-    const opened = await _openTranscriptPanel();
-    if (!opened) {
-      throw new Error('Could not open transcript panel. This video may not have captions.');
+    // Step 3: Switch the panel to the chosen track if it shows another one,
+    // then wait for the list to change — until it does it still shows the
+    // old track.
+    if (segments.length > 0) {
+      const shown = _panelSnapshot(segments);
+      if (await _selectPanelTrack(track)) {
+        segments = await _waitForSegments(8000, shown);
+        if (segments.length === 0) {
+          throw new Error('The transcript panel did not switch to ' + track.name + '.');
+        }
+      }
     }
 
-    // Step 3: Wait for segments to load
-    segments = await _waitForSegments(8000);
     if (segments.length === 0) {
       throw new Error('Transcript panel opened but no segments found.');
     }
 
+    if (wasOpen) {
+      console.log('[ShadowTalk Bridge] Transcript panel already open, got', segments.length, 'segments');
+      return { segments, ...meta };
+    }
+
     console.log('[ShadowTalk Bridge] Scraped', segments.length, 'segments from DOM');
 
     // Step 4: Close the transcript panel (optional — keep it clean)
     _closeTranscriptPanel();
 
-    return { segments, language: 'en', trackName: 'Transcript', allTracks: [] };
+    return { segments, ...meta };
+  }
+
+  /** Timedtext formats to try, best first: json3 carries per-word offsets. */
+  const TIMEDTEXT_FORMATS = ['json3', 'srv3'];
+  // Each format's request gives up after this long, so a stalled fetch falls
+  // through to the panel. transcript.js's bridge timeout budgets for it.
+  const TIMEDTEXT_TIMEOUT_MS = 5000;
+
+  /**
+   * Fetch a caption track's timedtext in page context (cookies included).
+   * Returns { rawText, fmt } for the first format that yields a non-empty
+   * body, or null — YouTube sometimes answers 200 with an empty body when the
+   * request lacks a player-issued token, and then the DOM path takes over.
+   */
+  async function _fetchTimedText(baseUrl) {
+    for (const fmt of TIMEDTEXT_FORMATS) {
+      try {
+        const url = new URL(baseUrl, location.origin);
+        url.searchParams.set('fmt', fmt);
+        const res = await fetch(url.toString(), {
+          credentials: 'include',
+          signal: AbortSignal.timeout(TIMEDTEXT_TIMEOUT_MS),
+        });
+        if (!res.ok) {
+          console.warn('[ShadowTalk Bridge] timedtext', fmt, 'returned HTTP', res.status);
+          continue;
+        }
+        const rawText = await res.text();
+        if (_hasCues(rawText, fmt)) return { rawText, fmt };
+        console.warn('[ShadowTalk Bridge] timedtext', fmt, 'returned no captions');
+      } catch (err) {
+        console.warn('[ShadowTalk Bridge] timedtext', fmt, 'fetch failed:', err.message);
+      }
+    }
+    return null;
+  }
+
+  /** Cheap sanity check that a timedtext body actually holds captions. */
+  function _hasCues(rawText, fmt) {
+    if (!rawText || !rawText.trim()) return false;
+    if (fmt === 'json3') {
+      try {
+        const events = JSON.parse(rawText).events;
+        return Array.isArray(events) && events.some((ev) => ev.segs);
+      } catch (e) {
+        return false;
+      }
+    }
+    return /<(p|text)\s/.test(rawText);
+  }
+
+  /**
+   * Read the current video's player response. `ytInitialPlayerResponse` goes
+   * stale after SPA navigation, so prefer the live player and only fall back
+   * to the global when it describes the video in the URL.
+   */
+  function _getPlayerResponse() {
+    const player = document.getElementById('movie_player');
+    try {
+      const live = player && player.getPlayerResponse && player.getPlayerResponse();
+      if (live) return live;
+    } catch (e) {}
+
+    const initial = window.ytInitialPlayerResponse;
+    const videoId = new URLSearchParams(location.search).get('v');
+    if (initial && initial.videoDetails && initial.videoDetails.videoId === videoId) {
+      return initial;
+    }
+    return null;
+  }
+
+  /**
+   * List the video's caption tracks: [{ vssId, languageCode, name, kind,
+   * isAutoGenerated, baseUrl, isDefault }]. Auto-generated (ASR) tracks have
+   * kind "asr" and a vssId starting with "a.".
+   */
+  function _getCaptionTracks() {
+    const response = _getPlayerResponse();
+    const list = response && response.captions &&
+                 response.captions.playerCaptionsTracklistRenderer;
+    if (!list || !Array.isArray(list.captionTracks)) return [];
+
+    const audioTrack = (list.audioTracks || [])[list.defaultAudioTrackIndex || 0];
+    const defaultIndex = audioTrack ? audioTrack.defaultCaptionTrackIndex : undefined;
+
+    return list.captionTracks.map((t, i) => {
+      const isAutoGenerated = t.kind === 'asr' || /^a\./.test(t.vssId || '');
+      return {
+        vssId: t.vssId || (isAutoGenerated ? 'a.' : '.') + t.languageCode,
+        languageCode: t.languageCode,
+        name: _trackName(t),
+        kind: isAutoGenerated ? 'asr' : 'manual',
+        isAutoGenerated,
+        baseUrl: t.baseUrl,
+        isDefault: i === defaultIndex,
+      };
+    });
+  }
+
+  /** Human-readable track name, e.g. "Spanish" or "English (auto-generated)". */
+  function _trackName(t) {
+    const name = t.name || {};
+    if (name.simpleText) return name.simpleText;
+    if (Array.isArray(name.runs)) return name.runs.map((r) => r.text).join('');
+    return t.languageCode;
+  }
+
+  /** Track description safe to hand to the content script (no URLs). */
+  function _describeTrack(track) {
+    return {
+      id: track.vssId,
+      languageCode: track.languageCode,
+      name: track.name,
+      kind: track.kind,
+      isAutoGenerated: track.isAutoGenerated,
+      isDefault: track.isDefault,
+    };
+  }
+
+  /**
+   * Choose the track to transcribe. Matches `preferredLang` against the vssId,
+   * then the exact language code, then the base language ("es-ES" → "es").
+   * Manual tracks win over auto-generated ones at every step. Without a
+   * preference, YouTube's default track (or the first manual one) is used.
+   */
+  function _pickTrack(tracks, preferredLang) {
+    if (tracks.length === 0) return null;
+
+    const byKind = (list) =>
+      list.find((t) => !t.isAutoGenerated) || list[0] || null;
+
+    if (preferredLang) {
+      const pref = preferredLang.toLowerCase();
+      const base = pref.split('-')[0];
+
+      const exactId = tracks.find((t) => t.vssId.toLowerCase() === pref);
+      if (exactId) return exactId;
+
+      const exactLang = tracks.filter((t) => t.languageCode.toLowerCase() === pref);
+      if (exactLang.length) return byKind(exactLang);
+
+      const baseLang = tracks.filter(
+        (t) => t.languageCode.toLowerCase().split('-')[0] === base
+      );
+      if (baseLang.length) return byKind(baseLang);
+    }
+
+    return tracks.find((t) => t.isDefault) || byKind(tracks);
+  }
+
+  /** Language/track fields of the bridge's getTranscript response. */
+  function _trackMeta(track, tracks) {
+    return {
+      language: track ? track.languageCode : 'en',
+      trackName: track ? track.name : 'Transcript',
+      trackId: track ? track.vssId : null,
+      isAutoGenerated: track ? track.isAutoGenerated : false,
+      allTracks: tracks.map(_describeTrack),
+    };
+  }
+
+  /**
+   * Switch the open transcript panel to `track` using its language dropdown.
+   * The dropdown lists tracks by the same names as the player response.
+   * Returns true if the panel was switched (its segments will reload).
+   */
+  async function _selectPanelTrack(track) {
+    if (!track) return false;
+
+    const footer = document.querySelector('ytd-transcript-footer-renderer');
+    const trigger = footer && footer.querySelector(
+      'yt-sort-filter-sub-menu-renderer tp-yt-paper-button,' +
+      'yt-dropdown-menu tp-yt-paper-button, yt-dropdown-menu button'
+    );
+    if (!trigger) return false;
+
+    const current = trigger.textContent.trim().toLowerCase();
+    const wanted = track.name.trim().toLowerCase();
+    if (current === wanted) return false;
+
+    trigger.click();
+    await _sleep(300);
+
+    const items = footer.querySelectorAll(
+      'tp-yt-paper-item, yt-dropdown-menu a, [role="option"]'
+    );
+    for (const item of items) {
+      if (item.textContent.trim().toLowerCase() === wanted) {
+        console.log('[ShadowTalk Bridge] Switching transcript panel to', track.name);
+        item.click();
+        await _sleep(500);
+        return true;
+      }
+    }
+
+    // Track not offered by the panel — close the dropdown and keep what's shown.
+    trigger.click();
+    return false;
   }
 
   /**
@@ -327,15 +569,16 @@
   }
 
   /**
-   * Wait for transcript segments to appear in the DOM.
+   * Wait for transcript segments to appear in the DOM — with `previous` (a
+   * _panelSnapshot), for ones other than those. Resolves with [] on timeout.
    */
-  function _waitForSegments(timeout) {
+  function _waitForSegments(timeout, previous = null) {
     return new Promise((resolve) => {
       const startTime = Date.now();
 
       const check = () => {
         const segments = _scrapeTranscriptPanel();
-        if (segments.length > 0) {
+        if (segments.length > 0 && (!previous || _panelChanged(previous, segments))) {
           resolve(segments);
           return;
         }
@@ -352,6 +595,23 @@
     });
   }
 
+  /**
+   * What the panel shows now: its first row element and opening text, to
+   * tell when a track switch has replaced the list.
+   */
+  function _panelSnapshot(segments) {
+    return {
+      row: document.querySelector('ytd-transcript-segment-renderer'),
+      text: segments.slice(0, 5).map((seg) => seg.text).join('\n'),
+    };
+  }
+
+  /** Whether the panel's rows were replaced or rewritten since `snapshot`. */
+  function _panelChanged(snapshot, segments) {
+    const current = _panelSnapshot(segments);
+    return current.row !== snapshot.row || current.text !== snapshot.text;
+  }
+
   /**
    * Close the transcript panel.
    */
@@ -0,0 +1,342 @@
+/**
+ * phonetics.js — "Sounds the same" checks for scoring.
+ *
+ * A recognizer that hears "their" for "there", "write" for "right" or
+ * "except" for "accept" isn't telling us the learner said the wrong word.
+ * Words are compared by phonetic key (a simplified Double Metaphone for
+ * English, a spelling-to-sound key for Spanish) and against a small table of
+ * homophones and known recognizer confusions per language.
+ *
+ * Other languages can plug in their own encoder with registerEncoder().
+ */
+
+const ShadowPhonetics = (() => {
+  // Cached keys; cleared when it grows past this many words.
+  const MAX_CACHE = 5000;
+
+  /**
+   * Homophones and words recognizers commonly swap, keyed by base language.
+   * Words are in normalized form (lowercase, apostrophes kept).
+   */
+  const CONFUSIONS = {
+    en: [
+      ['to', 'too', 'two'], ['for', 'four', 'fore'], ['by', 'buy', 'bye'],
+      ['be', 'bee'], ['no', 'know'], ['i', 'eye', 'aye'], ['one', 'won'],
+      ['our', 'hour'], ['so', 'sew'], ['see', 'sea'], ['new', 'knew'],
+      ['right', 'write', 'rite'], ['there', 'their'], ['your', 'yore'],
+      ['its', "it's"], ['whose', "who's"], ['hear', 'here'],
+      ['wait', 'weight'], ['ate', 'eight'], ['meet', 'meat'], ['week', 'weak'],
+      ['peace', 'piece'], ['whole', 'hole'], ['would', 'wood'], ['weather', 'whether'],
+      ['accept', 'except'], ['affect', 'effect'], ['then', 'than'],
+      ['an', 'and'], ['okay', 'ok'], ['mister', 'mr'], ['doctor', 'dr'],
+      ['break', 'brake'], ['flour', 'flower'], ['sole', 'soul'],
+      ['pair', 'pear', 'pare'], ['bear', 'bare'], ['wear', 'ware', 'where'],
+    ],
+    es: [
+      ['a', 'ha', 'ah'], ['e', 'he', 'eh'], ['o', 'oh'], ['ay', 'hay', 'ahí'],
+      ['si', 'sí'], ['el', 'él'], ['tu', 'tú'], ['mas', 'más'], ['de', 'dé'],
+    ],
+    fr: [
+      ['a', 'à'], ['ou', 'où'], ['et', 'est'], ['ces', 'ses', "c'est", "s'est"],
+      ['son', 'sont'], ['on', 'ont'], ['cent', 'sans', 'sang', "s'en"],
+      ['vert', 'verre', 'vers', 'ver'], ['mais', 'mes', 'met'], ['la', 'là'],
+    ],
+    de: [
+      ['das', 'dass'], ['seid', 'seit'], ['wider', 'wieder'], ['man', 'mann'],
+      ['wahr', 'war'], ['mehr', 'meer'],
+    ],
+  };
+
+  const encoders = {
+    en: _englishKeys,
+    es: _spanishKeys,
+  };
+  // base language → Map(word → group index), built on first use
+  const confusionIndex = {};
+  const cache = new Map();
+
+  function _base(lang) {
+    return (lang || 'en').toLowerCase().split('-')[0];
+  }
+
+  /**
+   * Use `encode(word) → [key, ...] | null` for a language (base tag, e.g.
+   * "de"). Returning null means the word is too short or ambiguous to key.
+   */
+  function registerEncoder(lang, encode) {
+    encoders[_base(lang)] = encode;
+    cache.clear();
+  }
+
+  /** Add groups of interchangeable words (e.g. [['colour', 'color']]) for a language. */
+  function registerConfusions(lang, groups) {
+    const base = _base(lang);
+    CONFUSIONS[base] = (CONFUSIONS[base] || []).concat(groups);
+    delete confusionIndex[base];
+  }
+
+  /** Phonetic keys of a word, or null if the language has no encoder. */
+  function encode(word, lang) {
+    const base = _base(lang);
+    const encoder = encoders[base];
+    if (!encoder || !word) return null;
+    const cacheKey = base + ':' + word;
+    if (!cache.has(cacheKey)) {
+      if (cache.size >= MAX_CACHE) cache.clear();
+      cache.set(cacheKey, encoder(word));
+    }
+    return cache.get(cacheKey);
+  }
+
+  /**
+   * Whether two different words would sound alike when spoken in `lang` —
+   * listed together in the confusion table or sharing a phonetic key.
+   */
+  function soundsAlike(word1, word2, lang) {
+    if (word1 === word2) return true;
+    const base = _base(lang);
+
+    const index = _confusions(base);
+    const group = index.get(word1);
+    if (group !== undefined && group === index.get(word2)) return true;
+
+    const keys1 = encode(word1, base);
+    const keys2 = encode(word2, base);
+    return !!(keys1 && keys2 && keys1.some((key) => keys2.includes(key)));
+  }
+
+  // ---- Private helpers ----
+
+  function _confusions(base) {
+    if (!confusionIndex[base]) {
+      const index = new Map();
+      (CONFUSIONS[base] || []).forEach((group, i) => {
+        for (const word of group) index.set(word, i);
+      });
+      confusionIndex[base] = index;
+    }
+    return confusionIndex[base];
+  }
+
+  const isVowel = (c) => c !== undefined && 'aeiou'.includes(c);
+  const isSoftener = (c) => c !== undefined && 'eiy'.includes(c);
+
+  /**
+   * Simplified Double Metaphone: a primary and an alternate consonant
+   * skeleton ("their" / "there" → "0R", "write" / "right" → "RT"). Keys
+   * shorter than two sounds — or three when they start with a vowel — would
+   * lump too many different words together, so those get null and are left
+   * to the confusion table.
+   */
+  function _englishKeys(word) {
+    let w = word.replace(/[^a-z]/g, '');
+    if (!w) return null;
+    w = w
+      .replace(/^(kn|gn|pn|wr|ps)/, (m) => m[1])
+      .replace(/^wh/, 'w')
+      .replace(/^x/, 's')
+      .replace(/mb$/, 'm');
+
+    let primary = '';
+    let alternate = '';
+    const add = (p, a = p) => {
+      primary += p;
+      alternate += a;
+    };
+
+    for (let i = 0; i < w.length; i++) {
+      const c = w[i];
+      const next = w[i + 1];
+      const prev = w[i - 1];
+      // Doubled letters sound once ("cc" before e/i/y is handled below).
+      if (c === prev && c !== 'c') continue;
+
+      switch (c) {
+        case 'a': case 'e': case 'i': case 'o': case 'u':
+          if (i === 0) add('A');
+          break;
+        case 'b':
+          add('P');
+          break;
+        case 'c':
+          if (next === 'h') {
+            add('X', 'K'); // "church" / "character"
+            i++;
+          } else if (isSoftener(next)) {
+            add('S');
+          } else {
+            add('K');
+            if (next === 'k' || next === 'q') i++;
+          }
+          break;
+        case 'd':
+          if (next === 'g' && isSoftener(w[i + 2])) {
+            add('J');
+            i++;
+          } else {
+            add('T');
+          }
+          break;
+        case 'g':
+          if (next === 'h') {
+            // Silent in "night" and "though", F in "laugh" and "tough".
+            if (i === 0) add('K');
+            else add('', 'F');
+            i++;
+          } else if (prev === 'n' && next === undefined) {
+            // "thing": the "ng" sound is already N
+          } else if (next === 'n' && i + 2 === w.length) {
+            add('N'); // "sign"
+            i++;
+          } else if (isSoftener(next)) {
+            add('J', 'K');
+          } else {
+            add('K');
+          }
+          break;
+        case 'h':
+          if (isVowel(next) && (i === 0 || !isVowel(prev))) add('H');
+          break;
+        case 'p':
+          if (next === 'h') {
+            add('F');
+            i++;
+          } else {
+            add('P');
+          }
+          break;
+        case 'q':
+          add('K');
+          break;
+        case 's':
+          if (next === 'h') {
+            add('X');
+            i++;
+          } else if (next === 'c' && w[i + 2] === 'h') {
+            add('SK');
+            i += 2;
+          } else if (w.startsWith('io', i + 1) || w.startsWith('ia', i + 1)) {
+            add('X', 'S');
+          } else {
+            add('S');
+          }
+          break;
+        case 't':
+          if (next === 'h') {
+            add('0');
+            i++;
+          } else if (w.startsWith('io', i + 1) || w.startsWith('ia', i + 1)) {
+            add('X');
+          } else if (!(next === 'c' && w[i + 2] === 'h')) {
+            add('T'); // the "t" of "tch" is silent
+          }
+          break;
+        case 'v':
+          add('F');
+          break;
+        case 'w':
+          if (isVowel(next)) add('W');
+          break;
+        case 'x':
+          add('KS');
+          break;
+        case 'y':
+          if (isVowel(next)) add('Y');
+          else if (i === 0) add('A');
+          break;
+        case 'z':
+          add('S');
+          break;
+        default:
+          add(c.toUpperCase()); // f j k l m n r
+      }
+    }
+
+    // The vowel sounds are kept too: the skeleton alone would call minimal
+    // pairs like "ship" / "sheep", "bed" / "bad" or "made" / "mad" the same word.
+    const vowels = _englishVowels(w);
+    const collapse = (key) => key.replace(/(.)\1+/g, '$1');
+    const keys = [...new Set([collapse(primary), collapse(alternate)])]
+      .filter((key) => key.length >= (key[0] === 'A' ? 3 : 2))
+      .map((key) => key + '.' + vowels);
+    return keys.length > 0 ? keys : null;
+  }
+
+  // Vowel spellings that make one sound, tried longest first. Uppercase is a
+  // long vowel; W and Y stand for the "ou" and "oi" sounds.
+  const VOWEL_SOUNDS = [
+    ['eigh', 'A'], ['igh', 'I'], ['ai', 'A'], ['ay', 'A'], ['ey', 'A'], ['ei', 'A'],
+    ['ee', 'E'], ['ea', 'E'], ['ie', 'E'], ['oa', 'O'], ['oe', 'O'], ['ow', 'W'],
+    ['ou', 'W'], ['ew', 'U'], ['ue', 'U'], ['ui', 'U'], ['oo', 'U'], ['oi', 'Y'],
+    ['oy', 'Y'], ['au', 'O'], ['aw', 'O'],
+  ];
+
+  /**
+   * The vowel sounds of an English word, one letter each: "made" → "A",
+   * "mad" → "a", "meet" and "meat" → "E". A silent final e after a single
+   * consonant makes the vowel before it long ("bite", "note", "cape").
+   */
+  function _englishVowels(w) {
+    const magic = /(^|[^aeiou])[aeiouy][^aeiouyw]e$/.test(w);
+    // Any other final e after a consonant is silent too ("twelve", "peace").
+    const stem = magic || /[aeiouy].*[^aeiouy]e$/.test(w) ? w.slice(0, -1) : w;
+    // Y is a vowel unless it starts the word or a syllable ("yes", "beyond").
+    const isVowelAt = (i) => 'aeiou'.includes(stem[i]) ||
+      (stem[i] === 'y' && i > 0 && !'aeiou'.includes(stem[i + 1] || ''));
+
+    const sounds = [];
+    for (let i = 0; i < stem.length;) {
+      if (!isVowelAt(i)) {
+        i++;
+        continue;
+      }
+      const sound = VOWEL_SOUNDS.find(([spelling]) => stem.startsWith(spelling, i));
+      if (sound) {
+        sounds.push(sound[1]);
+        i += sound[0].length;
+        continue;
+      }
+      let end = i + 1;
+      while (end < stem.length && isVowelAt(end)) end++;
+      sounds.push(stem.slice(i, end));
+      i = end;
+    }
+
+    // A lone vowel made long by a silent e, or ending a short word ("go", "me").
+    const last = sounds.length - 1;
+    const open = stem.length <= 3 && isVowelAt(stem.length - 1);
+    if (last >= 0 && sounds[last].length === 1 && (magic || open)) {
+      sounds[last] = sounds[last].toUpperCase();
+    }
+    return sounds.join('');
+  }
+
+  /**
+   * Spanish is spelled close to how it sounds; the key keeps the vowels and
+   * merges the letters that sound the same (b/v, ll/y, c/s/z, silent h).
+   */
+  function _spanishKeys(word) {
+    const key = word
+      .replace(/ñ/g, '\u0001')
+      .normalize('NFD')
+      .replace(/\p{M}/gu, '')
+      .replace(/[^a-z\u0001]/g, '')
+      .replace(/ch/g, 'X')
+      .replace(/ll/g, 'y')
+      .replace(/qu/g, 'k')
+      .replace(/gu(?=[ei])/g, 'g')
+      .replace(/g(?=[ei])/g, 'j')
+      .replace(/c(?=[ei])/g, 's')
+      .replace(/[cq]/g, 'k')
+      .replace(/z/g, 's')
+      .replace(/v/g, 'b')
+      .replace(/h/g, '')
+      .replace(/x/g, 'ks')
+      .replace(/y$/, 'i')
+      .replace(/rr/g, 'r')
+      .toUpperCase();
+    return key.length >= 2 ? [key] : null;
+  }
+
+  return { registerEncoder, registerConfusions, encode, soundsAlike };
+})();
@@ -4,9 +4,18 @@
 
 const ShadowPlayer = (() => {
   let videoElement = null;
-  let onTimeCallback = null;
-  let checkInterval = null;
-  let targetPauseTime = null;
+  // Active boundary watch: { video, target, callback, frameHandle, timerId }.
+  let watch = null;
+
+  // Within this much real time of the target, a timer is armed for the exact
+  // remaining time (frame callbacks alone can land up to a frame late).
+  const TIMER_WINDOW = 1.0;
+  // Fire when the remaining real time is below this (setTimeout jitter).
+  const FIRE_TOLERANCE = 0.004;
+  // Media seconds to pause ahead of the target, learned from how far past the
+  // target each pause actually lands (pause() takes effect a little late).
+  let pauseLead = 0.02;
+  const MAX_PAUSE_LEAD = 0.15;
 
   /**
    * Get the YouTube video element.
@@ -18,6 +27,13 @@ const ShadowPlayer = (() => {
     return videoElement;
   }
 
+  /**
+   * Get the current video's YouTube ID (the `v` URL parameter), or null.
+   */
+  function getVideoId() {
+    return new URLSearchParams(location.search).get('v');
+  }
+
   /**
    * Pause the video.
    */
@@ -91,49 +107,125 @@ const ShadowPlayer = (() => {
   }
 
   /**
-   * Start monitoring video time. Calls callback when currentTime >= targetTime.
-   * Used to pause at sentence boundaries.
+   * Start monitoring video time. Pauses the video and calls callback when
+   * playback reaches targetTime. Used to pause at sentence boundaries.
+   *
+   * `timeupdate` only fires every ~250ms, which overshoots into the next
+   * sentence. Instead, each rendered frame (requestVideoFrameCallback)
+   * reports the exact media time; once the boundary is under TIMER_WINDOW
+   * away, a timer is armed for the remaining time ÷ playback rate, minus the
+   * learned pause latency. `timeupdate` stays on as a fallback for browsers
+   * without frame callbacks, and seeks, rate changes and play/pause re-arm.
    */
   function watchForTime(targetTime, callback) {
     stopWatching();
-    targetPauseTime = targetTime;
-    onTimeCallback = callback;
 
     const video = getVideo();
     if (!video) return;
 
-    // Use timeupdate event for efficiency
+    watch = { video, target: targetTime, callback, frameHandle: null, timerId: null };
     video.addEventListener('timeupdate', _onTimeUpdate);
+    video.addEventListener('seeked', _rearm);
+    video.addEventListener('ratechange', _rearm);
+    video.addEventListener('play', _rearm);
+    video.addEventListener('pause', _onPause);
+    _rearm();
+  }
+
+  /** Re-evaluate from the current position (after seek, rate change, play). */
+  function _rearm() {
+    if (!watch) return;
+    _requestFrame();
+    _check(watch.video.currentTime);
+  }
+
+  function _requestFrame() {
+    const video = watch.video;
+    if (watch.frameHandle !== null || !video.requestVideoFrameCallback) return;
+    watch.frameHandle = video.requestVideoFrameCallback(_onFrame);
+  }
+
+  function _onFrame(now, metadata) {
+    if (!watch) return;
+    watch.frameHandle = null;
+    if (_check(metadata.mediaTime)) return;
+    _requestFrame();
   }
 
   function _onTimeUpdate() {
-    const video = getVideo();
-    if (!video || targetPauseTime === null) return;
+    if (watch) _check(watch.video.currentTime);
+  }
 
-    if (video.currentTime >= targetPauseTime) {
-      video.pause();
-      video.removeEventListener('timeupdate', _onTimeUpdate);
-      const cb = onTimeCallback;
-      onTimeCallback = null;
-      targetPauseTime = null;
-      if (cb) cb();
+  /** A paused video renders no frames — drop the timer until it plays again. */
+  function _onPause() {
+    if (watch && watch.timerId) {
+      clearTimeout(watch.timerId);
+      watch.timerId = null;
     }
   }
 
+  /**
+   * Compare `mediaTime` against the target: fire if we're there, otherwise
+   * (re)arm the short-range timer when the boundary is close.
+   * Returns true if the watch fired.
+   */
+  function _check(mediaTime) {
+    const video = watch.video;
+    const remaining = _remainingRealTime(mediaTime);
+
+    if (remaining <= FIRE_TOLERANCE) {
+      _fire();
+      return true;
+    }
+    if (video.paused || remaining > TIMER_WINDOW) return false;
+
+    if (watch.timerId) clearTimeout(watch.timerId);
+    watch.timerId = setTimeout(_onTimer, remaining * 1000);
+    return false;
+  }
+
+  function _onTimer() {
+    if (!watch) return;
+    watch.timerId = null;
+    _check(watch.video.currentTime);
+  }
+
+  /** Real seconds until we should call pause(), at the current rate. */
+  function _remainingRealTime(mediaTime) {
+    const rate = watch.video.playbackRate || 1;
+    return (watch.target - pauseLead - mediaTime) / rate;
+  }
+
+  function _fire() {
+    const { video, target, callback } = watch;
+    stopWatching();
+    video.pause();
+
+    // Learn the pause latency: nudge the lead by half the overshoot/undershoot.
+    const overshoot = video.currentTime - target;
+    if (Math.abs(overshoot) < 0.5) {
+      pauseLead = Math.max(0, Math.min(MAX_PAUSE_LEAD, pauseLead + overshoot / 2));
+    }
+
+    if (callback) callback();
+  }
+
   /**
    * Stop watching for time.
    */
   function stopWatching() {
-    const video = getVideo();
-    if (video) {
-      video.removeEventListener('timeupdate', _onTimeUpdate);
-    }
-    if (checkInterval) {
-      clearInterval(checkInterval);
-      checkInterval = null;
+    if (!watch) return;
+    const { video, frameHandle, timerId } = watch;
+    video.removeEventListener('timeupdate', _onTimeUpdate);
+    video.removeEventListener('seeked', _rearm);
+    video.removeEventListener('ratechange', _rearm);
+    video.removeEventListener('play', _rearm);
+    video.removeEventListener('pause', _onPause);
+    if (frameHandle !== null && video.cancelVideoFrameCallback) {
+      video.cancelVideoFrameCallback(frameHandle);
     }
-    onTimeCallback = null;
-    targetPauseTime = null;
+    if (timerId) clearTimeout(timerId);
+    watch = null;
   }
 
   /**
@@ -146,6 +238,7 @@ const ShadowPlayer = (() => {
 
   return {
     getVideo,
+    getVideoId,
     pause,
     play,
     seekTo,
@@ -0,0 +1,283 @@
+/**
+ * prosody.js — Pitch (F0) contours for intonation feedback.
+ *
+ * The speaker's contour is sampled live from the video element's audio while
+ * a sentence plays (a Web Audio AnalyserNode on video.captureStream(), so
+ * the page's own audio output is left alone); the learner's is computed from
+ * their recording. Both are converted to semitones around each voice's own
+ * median, so a low voice shadowing a high one is compared on shape alone,
+ * then time-aligned with DTW. Everything runs locally in the content script.
+ */
+
+const ShadowProsody = (() => {
+  const MIN_F0 = 70;
+  const MAX_F0 = 500;
+  // Frames quieter than this RMS are treated as silence.
+  const MIN_RMS = 0.01;
+  // Normalized autocorrelation peak needed to call a frame voiced.
+  const MIN_CLARITY = 0.6;
+  // Analysis rate: audio is decimated to about this before pitch detection.
+  const ANALYSIS_RATE = 16000;
+  const WINDOW_SIZE = 1024; // samples at ANALYSIS_RATE (64ms)
+  const HOP_SECONDS = 0.01;
+  const CAPTURE_INTERVAL_MS = 20;
+  // Fewer voiced frames than this on either side can't be compared.
+  const MIN_VOICED_FRAMES = 10;
+  // Contours are resampled to at most this many points before DTW.
+  const MAX_POINTS = 200;
+  // Mean aligned difference (semitones) at which similarity reaches 0.
+  const SEMITONE_TOLERANCE = 4;
+
+  let audioContext = null;
+  let analyser = null;
+  // The tapped video: { video, stream, node }.
+  let source = null;
+  let capture = null; // { timerId, frames }
+
+  /**
+   * Tap the video's audio into an analyser. Call from a user gesture so the
+   * AudioContext is allowed to start; returns false if the audio can't be
+   * tapped. detach() releases it.
+   */
+  function attach(video) {
+    if (!video || !video.captureStream || !(window.AudioContext || window.webkitAudioContext)) return false;
+    if (source && source.video === video) return true;
+    detach();
+    try {
+      audioContext = new (window.AudioContext || window.webkitAudioContext)();
+      analyser = audioContext.createAnalyser();
+      analyser.fftSize = 4096;
+      if (audioContext.state === 'suspended') audioContext.resume();
+      // A copy of the element's audio: the video keeps playing through its
+      // own output, and the analyser isn't connected to the speakers.
+      const stream = video.captureStream();
+      const node = audioContext.createMediaStreamSource(stream);
+      node.connect(analyser);
+      source = { video, stream, node };
+      return true;
+    } catch (err) {
+      console.warn('[ShadowTalk] Could not tap the video audio:', err);
+      detach();
+      return false;
+    }
+  }
+
+  /**
+   * Stop sampling and let go of the video's audio and the AudioContext.
+   */
+  function detach() {
+    stopCapture();
+    if (source) {
+      source.node.disconnect();
+      source.stream.getAudioTracks().forEach((t) => t.stop());
+      source = null;
+    }
+    if (audioContext) {
+      audioContext.close().catch(() => {});
+      audioContext = null;
+      analyser = null;
+    }
+  }
+
+  /**
+   * Start sampling the video's pitch. Frames are only taken while it plays.
+   */
+  function startCapture(video) {
+    stopCapture();
+    if (!analyser || !source || source.video !== video) return;
+
+    const buffer = new Float32Array(analyser.fftSize);
+    const factor = Math.max(1, Math.round(audioContext.sampleRate / ANALYSIS_RATE));
+    const rate = audioContext.sampleRate / factor;
+    const frames = [];
+    const timerId = setInterval(() => {
+      if (video.paused) return;
+      analyser.getFloatTimeDomainData(buffer);
+      const samples = _decimate(buffer, factor);
+      frames.push({ time: video.currentTime, f0: _detectPitch(samples, rate) });
+    }, CAPTURE_INTERVAL_MS);
+    capture = { timerId, frames };
+  }
+
+  /**
+   * Stop sampling. Returns the frames ([{ time, f0 }]) captured since
+   * startCapture(); f0 is 0 for unvoiced frames.
+   */
+  function stopCapture() {
+    if (!capture) return [];
+    clearInterval(capture.timerId);
+    const frames = capture.frames;
+    capture = null;
+    return frames;
+  }
+
+  /**
+   * Pitch frames ([{ time, f0 }]) of a recorded attempt.
+   */
+  async function analyzeRecording(blob) {
+    const data = await blob.arrayBuffer();
+    // Decoding through an offline context resamples straight to the analysis rate.
+    const offline = new OfflineAudioContext(1, 1, ANALYSIS_RATE);
+    const audio = await offline.decodeAudioData(data);
+    const samples = audio.getChannelData(0);
+    const hop = Math.round(HOP_SECONDS * ANALYSIS_RATE);
+
+    const frames = [];
+    for (let start = 0; start + WINDOW_SIZE <= samples.length; start += hop) {
+      frames.push({
+        time: start / ANALYSIS_RATE,
+        f0: _detectPitch(samples.subarray(start, start + WINDOW_SIZE), ANALYSIS_RATE),
+      });
+    }
+    return frames;
+  }
+
+  /**
+   * Compare two sets of pitch frames.
+   *
+   * Returns null if either side has too little voiced speech, otherwise
+   * { similarity (0-100), speaker: [{ t, st }], learner: [{ t, st }] } where
+   * `t` is 0-1 across the speaker's voiced span and `st` is semitones from
+   * each voice's median. The learner curve is warped onto the speaker's time
+   * axis along the DTW path.
+   */
+  function compare(speakerFrames, learnerFrames) {
+    const speaker = _contour(speakerFrames);
+    const learner = _contour(learnerFrames);
+    if (!speaker || !learner) return null;
+
+    const path = _dtw(speaker, learner);
+    let total = 0;
+    for (const [i, j] of path) total += Math.abs(speaker[i] - learner[j]);
+    const meanDiff = total / path.length;
+
+    const t = (i) => (speaker.length > 1 ? i / (speaker.length - 1) : 0);
+    return {
+      similarity: Math.round(100 * Math.max(0, 1 - meanDiff / SEMITONE_TOLERANCE)),
+      speaker: speaker.map((st, i) => ({ t: t(i), st })),
+      learner: path.map(([i, j]) => ({ t: t(i), st: learner[j] })),
+    };
+  }
+
+  // ---- Private helpers ----
+
+  /** Average each run of `factor` samples (a crude low-pass + downsample). */
+  function _decimate(buffer, factor) {
+    if (factor === 1) return buffer;
+    const out = new Float32Array(Math.floor(buffer.length / factor));
+    for (let i = 0; i < out.length; i++) {
+      let sum = 0;
+      for (let k = 0; k < factor; k++) sum += buffer[i * factor + k];
+      out[i] = sum / factor;
+    }
+    return out;
+  }
+
+  /**
+   * F0 of one frame in Hz, or 0 if unvoiced — normalized square difference
+   * (McLeod pitch method), taking the first peak close to the highest one so
+   * octave errors are rare.
+   */
+  function _detectPitch(samples, sampleRate) {
+    let energy = 0;
+    for (let i = 0; i < samples.length; i++) energy += samples[i] * samples[i];
+    if (Math.sqrt(energy / samples.length) < MIN_RMS) return 0;
+
+    const minLag = Math.floor(sampleRate / MAX_F0);
+    const maxLag = Math.min(Math.ceil(sampleRate / MIN_F0), Math.floor(samples.length / 2));
+    const size = samples.length - maxLag;
+    const nsdf = new Float32Array(maxLag + 2);
+    let best = 0;
+    for (let lag = minLag; lag <= maxLag; lag++) {
+      let acf = 0;
+      let norm = 0;
+      for (let i = 0; i < size; i++) {
+        acf += samples[i] * samples[i + lag];
+        norm += samples[i] * samples[i] + samples[i + lag] * samples[i + lag];
+      }
+      nsdf[lag] = norm > 0 ? (2 * acf) / norm : 0;
+      if (nsdf[lag] > best) best = nsdf[lag];
+    }
+    if (best < MIN_CLARITY) return 0;
+
+    for (let lag = minLag + 1; lag <= maxLag; lag++) {
+      const isPeak = nsdf[lag] >= nsdf[lag - 1] && nsdf[lag] >= nsdf[lag + 1];
+      if (!isPeak || nsdf[lag] < 0.9 * best) continue;
+      // Parabolic interpolation around the peak for sub-sample accuracy.
+      const a = nsdf[lag - 1];
+      const b = nsdf[lag];
+      const c = nsdf[lag + 1];
+      const denom = a - 2 * b + c;
+      const shift = denom !== 0 ? (0.5 * (a - c)) / denom : 0;
+      return sampleRate / (lag + shift);
+    }
+    return 0;
+  }
+
+  /**
+   * Voiced frames as semitones around the median F0, median-filtered to drop
+   * isolated octave jumps and resampled to at most MAX_POINTS. Null if there
+   * are too few voiced frames.
+   */
+  function _contour(frames) {
+    const f0s = frames.filter((f) => f.f0 > 0).map((f) => f.f0);
+    if (f0s.length < MIN_VOICED_FRAMES) return null;
+
+    const median = _median(f0s);
+    const semitones = f0s.map((f) => 12 * Math.log2(f / median));
+    const smoothed = semitones.map((_, i) =>
+      _median(semitones.slice(Math.max(0, i - 2), i + 3)));
+    const clipped = smoothed.filter((st) => Math.abs(st) <= 12);
+    if (clipped.length < MIN_VOICED_FRAMES) return null;
+
+    if (clipped.length <= MAX_POINTS) return clipped;
+    const step = clipped.length / MAX_POINTS;
+    return Array.from({ length: MAX_POINTS }, (_, i) => clipped[Math.floor(i * step)]);
+  }
+
+  function _median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = sorted.length >> 1;
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  }
+
+  /**
+   * Dynamic time warping of two number sequences. Returns the alignment path
+   * as [[i, j], ...] from the start of both to the end of both.
+   */
+  function _dtw(a, b) {
+    const n = a.length;
+    const m = b.length;
+    const cost = Array.from({ length: n }, () => new Float64Array(m));
+    for (let i = 0; i < n; i++) {
+      for (let j = 0; j < m; j++) {
+        const d = Math.abs(a[i] - b[j]);
+        if (i === 0 && j === 0) cost[i][j] = d;
+        else if (i === 0) cost[i][j] = d + cost[i][j - 1];
+        else if (j === 0) cost[i][j] = d + cost[i - 1][j];
+        else cost[i][j] = d + Math.min(cost[i - 1][j - 1], cost[i - 1][j], cost[i][j - 1]);
+      }
+    }
+
+    const path = [];
+    let i = n - 1;
+    let j = m - 1;
+    while (i > 0 || j > 0) {
+      path.push([i, j]);
+      if (i === 0) j--;
+      else if (j === 0) i--;
+      else {
+        const diag = cost[i - 1][j - 1];
+        const up = cost[i - 1][j];
+        const left = cost[i][j - 1];
+        if (diag <= up && diag <= left) { i--; j--; }
+        else if (up <= left) i--;
+        else j--;
+      }
+    }
+    path.push([0, 0]);
+    return path.reverse();
+  }
+
+  return { attach, detach, startCapture, stopCapture, analyzeRecording, compare };
+})();
@@ -0,0 +1,260 @@
+/**
+ * recorder.js — Records the learner's attempts with MediaRecorder so they can
+ * be played back against the original clip.
+ *
+ * Runs inside ShadowSpeech.listen, on the mic stream it opens: the
+ * recognizer gets the text, this gets the audio.
+ *
+ * The last MAX_RECORDINGS attempts are kept in memory. When the
+ * "keepRecordings" setting is on they are also saved per video under
+ * "recordings:<videoId>" as data URLs, so nothing ever leaves the device.
+ * "recordings:index" lists the saved videos ({ videoId, bytes, usedAt });
+ * past MAX_SAVED_VIDEOS or MAX_SAVED_BYTES in total, the videos saved
+ * least recently are dropped.
+ */
+
+const ShadowRecorder = (() => {
+  const MAX_RECORDINGS = 10;
+  const MAX_SAVED_PER_VIDEO = 5;
+  // Saved recordings across all videos (chrome.storage.local holds 10 MB in total).
+  const SAVED_INDEX_KEY = 'recordings:index';
+  const MAX_SAVED_VIDEOS = 20;
+  const MAX_SAVED_BYTES = 3 * 1024 * 1024;
+  const MIME_TYPES = ['audio/webm;codecs=opus', 'audio/webm', 'audio/ogg;codecs=opus', 'audio/mp4'];
+
+  let recorder = null;
+  let chunks = [];
+  // Resolves once the current start() has the recorder running (or failed).
+  let starting = null;
+  let startedAt = 0;
+  // [{ videoId, key, blob, duration, createdAt }], oldest first.
+  let recordings = [];
+  let player = null;
+  // Saves run one at a time so two can't overwrite each other's index.
+  let saving = Promise.resolve();
+
+  /**
+   * Check if the browser can record the mic.
+   */
+  function isSupported() {
+    return !!window.MediaRecorder;
+  }
+
+  function _mimeType() {
+    return MIME_TYPES.find((type) => MediaRecorder.isTypeSupported(type)) || '';
+  }
+
+  /**
+   * Start recording an attempt from the mic `stream`. Resolves once recording
+   * has begun; rejects if it can't (callers can carry on without a
+   * recording).
+   */
+  function start(stream) {
+    cancel();
+    starting = (async () => {
+      if (!isSupported()) throw new Error('Audio recording is not supported in this browser.');
+      const mimeType = _mimeType();
+      recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+      chunks = [];
+      recorder.ondataavailable = (event) => {
+        if (event.data && event.data.size > 0) chunks.push(event.data);
+      };
+      recorder.start();
+      startedAt = performance.now();
+    })();
+    return starting;
+  }
+
+  /**
+   * Stop the current attempt. Resolves with { blob, duration } or null if
+   * nothing was recorded.
+   */
+  async function stop() {
+    if (!starting) return null;
+    try {
+      await starting;
+    } catch (err) {
+      starting = null;
+      return null;
+    }
+    starting = null;
+
+    const active = recorder;
+    recorder = null;
+    if (!active || active.state === 'inactive') return null;
+
+    return new Promise((resolve) => {
+      active.onstop = () => {
+        const blob = new Blob(chunks, { type: active.mimeType || 'audio/webm' });
+        chunks = [];
+        resolve(blob.size > 0
+          ? { blob, duration: (performance.now() - startedAt) / 1000 }
+          : null);
+      };
+      active.stop();
+    });
+  }
+
+  /**
+   * Stop the current attempt and throw its audio away.
+   */
+  function cancel() {
+    if (recorder && recorder.state !== 'inactive') {
+      recorder.ondataavailable = null;
+      recorder.onstop = null;
+      try { recorder.stop(); } catch (e) {}
+    }
+    recorder = null;
+    starting = null;
+    chunks = [];
+  }
+
+  /**
+   * Drop the attempt being recorded and stop any playback. Kept recordings
+   * survive.
+   */
+  function release() {
+    cancel();
+    stopPlayback();
+  }
+
+  /**
+   * Keep a recording under `key` (one sentence of one transcript) for a
+   * video, dropping the oldest once more than MAX_RECORDINGS are held.
+   */
+  function remember(videoId, key, recording) {
+    recordings.push({ videoId, key, blob: recording.blob, duration: recording.duration, createdAt: Date.now() });
+    if (recordings.length > MAX_RECORDINGS) {
+      recordings = recordings.slice(-MAX_RECORDINGS);
+    }
+  }
+
+  /**
+   * The latest recording kept under `key` for a video, or null.
+   */
+  function find(videoId, key) {
+    for (let i = recordings.length - 1; i >= 0; i--) {
+      if (recordings[i].videoId === videoId && recordings[i].key === key) return recordings[i];
+    }
+    return null;
+  }
+
+  /**
+   * Play a recording. Resolves when playback ends or is stopped.
+   */
+  function play(recording) {
+    stopPlayback();
+    const url = URL.createObjectURL(recording.blob);
+    const audio = new Audio(url);
+    player = audio;
+    return new Promise((resolve) => {
+      const done = () => {
+        URL.revokeObjectURL(url);
+        if (player === audio) player = null;
+        resolve();
+      };
+      audio.onended = done;
+      audio.onerror = done;
+      audio.onpause = done;
+      audio.play().catch(done);
+    });
+  }
+
+  function stopPlayback() {
+    if (player) {
+      const audio = player;
+      player = null;
+      audio.pause();
+    }
+  }
+
+  // ---- Optional persistence ----
+
+  function _toDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  }
+
+  /**
+   * Save this video's kept recordings, newest MAX_SAVED_PER_VIDEO only,
+   * making room by dropping the videos saved least recently.
+   */
+  function save(videoId) {
+    const own = recordings.filter((r) => r.videoId === videoId).slice(-MAX_SAVED_PER_VIDEO);
+    const task = saving.then(async () => {
+      const saved = [];
+      for (const r of own) {
+        saved.push({ key: r.key, duration: r.duration, createdAt: r.createdAt, data: await _toDataUrl(r.blob) });
+      }
+      const bytes = JSON.stringify(saved).length;
+      const index = (await ShadowStorage.get(SAVED_INDEX_KEY, [])).filter((i) => i.videoId !== videoId);
+      index.push({ videoId, bytes, usedAt: Date.now() });
+      index.sort((a, b) => b.usedAt - a.usedAt);
+
+      const keep = [];
+      const evicted = [];
+      let total = 0;
+      for (const item of index) {
+        if (keep.length < MAX_SAVED_VIDEOS && total + item.bytes <= MAX_SAVED_BYTES) {
+          keep.push(item);
+          total += item.bytes;
+        } else {
+          evicted.push(_savedKey(item.videoId));
+        }
+      }
+
+      if (evicted.length > 0) await ShadowStorage.remove(evicted);
+      // Recordings too big to fit on their own are not saved at all.
+      if (keep.some((item) => item.videoId === videoId)) {
+        await ShadowStorage.set(_savedKey(videoId), saved);
+      }
+      await ShadowStorage.set(SAVED_INDEX_KEY, keep);
+    });
+    saving = task.catch(() => {});
+    return task;
+  }
+
+  /**
+   * Load this video's saved recordings into memory.
+   */
+  async function load(videoId) {
+    const saved = await ShadowStorage.get(_savedKey(videoId), []);
+    for (const r of saved) {
+      if (find(videoId, r.key)) continue;
+      try {
+        const blob = await (await fetch(r.data)).blob();
+        recordings.push({ videoId, key: r.key, blob, duration: r.duration, createdAt: r.createdAt });
+      } catch (err) {
+        console.warn('[ShadowTalk] Could not restore a saved recording:', err);
+      }
+    }
+    recordings.sort((a, b) => a.createdAt - b.createdAt);
+    recordings = recordings.slice(-MAX_RECORDINGS);
+  }
+
+  /**
+   * Delete saved recordings for every video.
+   */
+  function clearSaved() {
+    const task = saving.then(async () => {
+      const index = await ShadowStorage.get(SAVED_INDEX_KEY, []);
+      await ShadowStorage.remove([...index.map((item) => _savedKey(item.videoId)), SAVED_INDEX_KEY]);
+    });
+    saving = task.catch(() => {});
+    return task;
+  }
+
+  function _savedKey(videoId) {
+    return ShadowStorage.videoKey('recordings', videoId);
+  }
+
+  return {
+    isSupported, start, stop, cancel, release,
+    remember, find, play, stopPlayback,
+    save, load, clearSaved,
+  };
+})();
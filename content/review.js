@@ -0,0 +1,172 @@
+/**
+ * review.js — Spaced-repetition deck of sentences worth practicing again,
+ * across videos: ones scored below LOW_SCORE and ones the learner starred.
+ *
+ * Cards are scheduled with SM-2: each review's score becomes a 0–5 grade;
+ * a pass pushes the card out by a growing interval, a fail brings it back
+ * the next day. Stored under "reviewDeck" as { cards: { id: card } }, where
+ * a card is { id, videoId, language, text, startTime, endTime, speechEnd,
+ * starred, lowScore, ease, interval (days), repetitions, due (ms), lastScore,
+ * addedAt }.
+ * `starred` and `lowScore` record why the card is in the deck; it leaves
+ * when neither holds.
+ */
+
+const ShadowReview = (() => {
+  const DECK_KEY = 'reviewDeck';
+  // Scores below this add the sentence to the deck.
+  const LOW_SCORE = 60;
+  // Past this many cards, the best-known ones are dropped.
+  const MAX_CARDS = 1000;
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  // SM-2: starting ease, its floor, and the lowest grade that counts as a pass.
+  const START_EASE = 2.5;
+  const MIN_EASE = 1.3;
+  const PASS_GRADE = 3;
+  // Lowest score for each grade above 0; grade 3 (a pass) starts at LOW_SCORE.
+  const GRADE_SCORES = [20, 40, LOW_SCORE, 80, 95];
+
+  // Writes run one at a time so a grade can't overwrite a concurrent star.
+  let queue = Promise.resolve();
+
+  /**
+   * The card identity for a sentence of a video: { id, videoId, language,
+   * text, startTime, endTime, speechEnd }, without any schedule. The id comes from the
+   * words, not the timing, so moving a sentence's boundary in the editor
+   * keeps its card.
+   */
+  function cardFor(videoId, sentence, language) {
+    return {
+      id: `${videoId}:${_normalize(sentence.text)}`,
+      videoId,
+      language,
+      text: sentence.text,
+      startTime: sentence.startTime,
+      endTime: sentence.endTime,
+      speechEnd: sentence.speechEnd,
+    };
+  }
+
+  /**
+   * Put a card in the deck, due now — starred, or for a low score. A card
+   * already in the deck keeps its schedule and takes the sentence's latest
+   * timing; `starred` only ever turns its star on.
+   */
+  function add(card, starred = false) {
+    return _update((cards) => {
+      const existing = cards[card.id];
+      if (existing) {
+        existing.startTime = card.startTime;
+        existing.endTime = card.endTime;
+        existing.speechEnd = card.speechEnd;
+        if (starred) existing.starred = true;
+        else existing.lowScore = true;
+        return;
+      }
+      cards[card.id] = {
+        ...card,
+        starred,
+        lowScore: !starred,
+        ease: START_EASE,
+        interval: 0,
+        repetitions: 0,
+        due: Date.now(),
+        lastScore: null,
+        addedAt: Date.now(),
+      };
+      _trim(cards);
+    });
+  }
+
+  /**
+   * Turn a card's star off. It leaves the deck only if the star was what
+   * put it there.
+   */
+  function unstar(id) {
+    return _update((cards) => {
+      const card = cards[id];
+      if (!card) return;
+      card.starred = false;
+      if (!card.lowScore) delete cards[id];
+    });
+  }
+
+  /** Whether a card is in the deck with its star on. */
+  async function isStarred(id) {
+    await queue;
+    const card = (await _read())[id];
+    return !!(card && card.starred);
+  }
+
+  /** Cards due by `now`, most overdue first. */
+  async function due(now = Date.now()) {
+    await queue;
+    return Object.values(await _read())
+      .filter((card) => card.due <= now)
+      .sort((a, b) => a.due - b.due);
+  }
+
+  /**
+   * Reschedule a card after a review scored `score` (0–100). Missing cards
+   * (removed in another tab) are ignored.
+   */
+  function grade(id, score) {
+    return _update((cards) => {
+      const card = cards[id];
+      if (!card) return;
+      const q = _grade(score);
+      if (q < PASS_GRADE) {
+        card.repetitions = 0;
+        card.interval = 1;
+      } else {
+        card.repetitions += 1;
+        card.interval =
+          card.repetitions === 1 ? 1 :
+          card.repetitions === 2 ? 6 :
+          Math.round(card.interval * card.ease);
+      }
+      card.ease = Math.max(MIN_EASE, card.ease + 0.1 - (5 - q) * (0.08 + (5 - q) * 0.02));
+      card.lastScore = score;
+      card.due = Date.now() + card.interval * DAY_MS;
+    });
+  }
+
+  // ---- Private helpers ----
+
+  /** A sentence's words for its card id: lowercase, punctuation dropped. */
+  function _normalize(text) {
+    return text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+  }
+
+  /** A score as an SM-2 grade, 0–5. */
+  function _grade(score) {
+    return GRADE_SCORES.filter((min) => score >= min).length;
+  }
+
+  async function _read() {
+    const deck = await ShadowStorage.get(DECK_KEY);
+    return (deck && deck.cards) || {};
+  }
+
+  function _update(change) {
+    queue = queue
+      .then(async () => {
+        const cards = await _read();
+        change(cards);
+        await ShadowStorage.set(DECK_KEY, { cards });
+      })
+      .catch((err) => console.warn('[ShadowTalk] Could not save review deck:', err));
+    return queue;
+  }
+
+  function _trim(cards) {
+    const ids = Object.keys(cards);
+    if (ids.length <= MAX_CARDS) return;
+    ids
+      .sort((a, b) => cards[b].interval - cards[a].interval)
+      .slice(0, ids.length - MAX_CARDS)
+      .forEach((id) => delete cards[id]);
+  }
+
+  return { cardFor, add, unstar, isStarred, due, grade, LOW_SCORE };
+})();
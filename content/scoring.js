@@ -1,111 +1,425 @@
 /**
  * scoring.js — Compare user speech against original text.
- * Word-level diff, Levenshtein distance, percentage scoring.
+ * Word alignment with an edit script, Levenshtein distance, percentage scoring.
  */
 
 const ShadowScoring = (() => {
+  // Recognizer confidence below this marks words "unclear" rather than wrong.
+  // A confidence of 0 means none was reported (interim results), not "unsure".
+  const UNCLEAR_CONFIDENCE = 0.5;
+
   /**
-   * Common contractions/informal speech equivalences.
+   * Equivalence packs: contracted or informal forms → what they stand for,
+   * keyed by base language. Applied one way, to both the target and the
+   * speech, so either form matches the other.
    */
   const EQUIVALENCES = {
-    'gonna': 'going to',
-    'wanna': 'want to',
-    'gotta': 'got to',
-    'kinda': 'kind of',
-    'sorta': 'sort of',
-    'dunno': "don't know",
-    'lemme': 'let me',
-    'gimme': 'give me',
-    'coulda': 'could have',
-    'shoulda': 'should have',
-    'woulda': 'would have',
-    "it's": 'it is',
-    "that's": 'that is',
-    "what's": 'what is',
-    "there's": 'there is',
-    "here's": 'here is',
-    "he's": 'he is',
-    "she's": 'she is',
-    "i'm": 'i am',
-    "you're": 'you are',
-    "we're": 'we are',
-    "they're": 'they are',
-    "i've": 'i have',
-    "you've": 'you have',
-    "we've": 'we have',
-    "they've": 'they have',
-    "i'll": 'i will',
-    "you'll": 'you will',
-    "he'll": 'he will',
-    "she'll": 'she will',
-    "we'll": 'we will',
-    "they'll": 'they will',
-    "i'd": 'i would',
-    "you'd": 'you would',
-    "he'd": 'he would',
-    "she'd": 'she would',
-    "we'd": 'we would',
-    "they'd": 'they would',
-    "isn't": 'is not',
-    "aren't": 'are not',
-    "wasn't": 'was not',
-    "weren't": 'were not',
-    "don't": 'do not',
-    "doesn't": 'does not',
-    "didn't": 'did not',
-    "can't": 'cannot',
-    "couldn't": 'could not',
-    "won't": 'will not',
-    "wouldn't": 'would not',
-    "shouldn't": 'should not',
-    "haven't": 'have not',
-    "hasn't": 'has not',
-    "hadn't": 'had not',
+    en: {
+      'gonna': 'going to',
+      'wanna': 'want to',
+      'gotta': 'got to',
+      'kinda': 'kind of',
+      'sorta': 'sort of',
+      'dunno': "don't know",
+      'lemme': 'let me',
+      'gimme': 'give me',
+      'coulda': 'could have',
+      'shoulda': 'should have',
+      'woulda': 'would have',
+      "it's": 'it is',
+      "that's": 'that is',
+      "what's": 'what is',
+      "there's": 'there is',
+      "here's": 'here is',
+      "he's": 'he is',
+      "she's": 'she is',
+      "i'm": 'i am',
+      "you're": 'you are',
+      "we're": 'we are',
+      "they're": 'they are',
+      "i've": 'i have',
+      "you've": 'you have',
+      "we've": 'we have',
+      "they've": 'they have',
+      "i'll": 'i will',
+      "you'll": 'you will',
+      "he'll": 'he will',
+      "she'll": 'she will',
+      "we'll": 'we will',
+      "they'll": 'they will',
+      "i'd": 'i would',
+      "you'd": 'you would',
+      "he'd": 'he would',
+      "she'd": 'she would',
+      "we'd": 'we would',
+      "they'd": 'they would',
+      "isn't": 'is not',
+      "aren't": 'are not',
+      "wasn't": 'was not',
+      "weren't": 'were not',
+      "don't": 'do not',
+      "doesn't": 'does not',
+      "didn't": 'did not',
+      "can't": 'cannot',
+      "couldn't": 'could not',
+      "won't": 'will not',
+      "wouldn't": 'would not',
+      "shouldn't": 'should not',
+      "haven't": 'have not',
+      "hasn't": 'has not',
+      "hadn't": 'had not',
+    },
+    fr: {
+      "j'suis": 'je suis',
+      'chuis': 'je suis',
+      "t'es": 'tu es',
+      "t'as": 'tu as',
+      "y'a": 'il y a',
+      "p'tit": 'petit',
+      "p'tite": 'petite',
+      "m'sieur": 'monsieur',
+    },
+    es: {
+      "pa'": 'para',
+      "pa'l": 'para el',
+      "to'": 'todo',
+      "na'": 'nada',
+      "'ta": 'está',
+      "'tá": 'está',
+    },
+    de: {
+      "gibt's": 'gibt es',
+      "geht's": 'geht es',
+      "wie's": 'wie es',
+      "hab's": 'habe es',
+      "ist's": 'ist es',
+      "'nen": 'einen',
+      "'ne": 'eine',
+      'nich': 'nicht',
+    },
+    it: {
+      "c'è": 'ci è',
+      "com'è": 'come è',
+      "dov'è": 'dove è',
+    },
+    pt: {
+      'tá': 'está',
+      'tô': 'estou',
+      'pra': 'para',
+      'cê': 'você',
+      'né': 'não é',
+    },
+    nl: {
+      "'t": 'het',
+      "'n": 'een',
+      "m'n": 'mijn',
+      "z'n": 'zijn',
+      "d'r": 'haar',
+    },
+  };
+  // Longest phrase, in words, a user equivalence may match.
+  const MAX_PHRASE_WORDS = 4;
+  // Limits on imported equivalences.
+  const MAX_EQUIVALENCES = 500;
+  const MAX_PHRASE_LENGTH = 80;
+
+  /**
+   * Scoring profiles, from forgiving to strict.
+   * - tolerance:      scales the spelling difference isCloseMatch allows
+   * - closeCredit:    credit for a 'close' word (1 = as much as a correct one)
+   * - phoneticCredit: credit for a word heard as a sound-alike ("their" for "there")
+   * - ignoreFillers:  hesitations in the target ("um") aren't required, and
+   *                   fillers the learner adds ("uh", "like") aren't extras
+   * - extraPenalty:   weight each extra word the learner adds costs, as if
+   *                   it were a target word they got wrong (0 = free)
+   * - functionWeight: weight of function words ("the", "of") next to content
+   *                   words, which weigh 1
+   */
+  const PROFILES = {
+    beginner: {
+      label: 'Beginner', tolerance: 1.25, closeCredit: 1, phoneticCredit: 1,
+      ignoreFillers: true, extraPenalty: 0, functionWeight: 0.5,
+    },
+    standard: {
+      label: 'Standard', tolerance: 1, closeCredit: 1, phoneticCredit: 1,
+      ignoreFillers: true, extraPenalty: 0, functionWeight: 1,
+    },
+    exam: {
+      label: 'Exam', tolerance: 0.5, closeCredit: 0.5, phoneticCredit: 0.75,
+      ignoreFillers: false, extraPenalty: 0.5, functionWeight: 1,
+    },
+  };
+  const DEFAULT_PROFILE = 'standard';
+
+  // Alignment costs. A substitution costs less than a deletion plus an
+  // insertion, so a wrong word pairs up with the word it replaced, while
+  // matches stay cheap enough that alignment still favours matching words.
+  const EDIT_COSTS = {
+    correct: 0, phonetic: 0.1, close: 0.5, substitution: 1.5, deletion: 1, insertion: 1,
+  };
+  // Share of a word's weight earned when it was said, but out of order.
+  const REORDER_CREDIT = 0.5;
+
+  // Hesitation sounds in any language: um, uhh, er, erm, hmm, ah, eh, euh, äh, ähm.
+  const HESITATION_RE = /^(?:u+m+|u+h+|e+r+m*|h*m+|a+h+|e+h+|e+u+h+|ä+h+m*)$/;
+
+  /** Words that only fill a pause when the learner adds them, keyed by base language. */
+  const FILLERS = {
+    en: new Set(['like', 'well', 'so']),
+    es: new Set(['este', 'pues', 'bueno']),
+    fr: new Set(['ben', 'bah', 'bon', 'quoi']),
+    de: new Set(['halt', 'also', 'naja']),
+  };
+
+  /** Function words, weighted by the profile's functionWeight, keyed by base language. */
+  const FUNCTION_WORDS = {
+    en: new Set([
+      'a', 'an', 'the', 'of', 'to', 'in', 'on', 'at', 'for', 'with', 'by', 'from', 'as',
+      'and', 'or', 'but', 'if', 'so', 'than', 'that', 'this', 'these', 'those',
+      'is', 'are', 'was', 'were', 'be', 'been', 'am', 'do', 'does', 'did',
+      'have', 'has', 'had', 'will', 'would', 'can', 'could', 'should', 'may', 'might', 'must',
+      'i', 'you', 'he', 'she', 'it', 'we', 'they', 'me', 'him', 'her', 'us', 'them',
+      'my', 'your', 'his', 'its', 'our', 'their',
+    ]),
+    es: new Set([
+      'el', 'la', 'los', 'las', 'un', 'una', 'unos', 'unas', 'de', 'del', 'a', 'al', 'en',
+      'con', 'por', 'para', 'y', 'o', 'pero', 'que', 'se', 'lo', 'le', 'les', 'mi', 'tu', 'su',
+    ]),
+    fr: new Set([
+      'le', 'la', 'les', "l'", 'un', 'une', 'des', 'de', 'du', 'à', 'au', 'aux', 'en', 'et',
+      'ou', 'mais', 'que', 'qui', 'ne', 'je', 'tu', 'il', 'elle', 'nous', 'vous', 'ils', 'elles', 'se', 'ce',
+    ]),
+    de: new Set([
+      'der', 'die', 'das', 'den', 'dem', 'des', 'ein', 'eine', 'einen', 'einem', 'einer',
+      'und', 'oder', 'aber', 'zu', 'in', 'an', 'auf', 'mit', 'von', 'für',
+      'ich', 'du', 'er', 'sie', 'es', 'wir', 'ihr',
+    ]),
+  };
+
+  /**
+   * Per-language normalization/tokenization options, keyed by base language.
+   * - locale:          case-mapping locale (Turkish/Azeri dotted and dotless i)
+   * - foldDotlessI:    also treat "ı" as "i" (lenient Turkish matching)
+   * - foldDiacritics:  strip accents from Latin/Greek/Cyrillic letters ("café" → "cafe")
+   * - foldYo:          Russian "ё" → "е" (captions and recognizers disagree on it)
+   * - stripTashkeel:   drop Arabic short-vowel marks and tatweel
+   * - arabicLetters:   fold hamza-carrying alef forms and alef maqsura
+   * - persianLetters:  Arabic yeh/kaf → Persian forms (ي → ی, ك → ک)
+   * - charTokens:      one token per CJK character (Japanese, Chinese)
+   * - segmentWords:    Intl.Segmenter word breaks (Thai, Lao, Khmer, Burmese)
+   */
+  const LANGUAGE_OPTIONS = {
+    tr: { locale: 'tr' },
+    az: { locale: 'az' },
+    el: { foldDiacritics: true },
+    ru: { foldYo: true },
+    be: { foldYo: true },
+    ar: { stripTashkeel: true, arabicLetters: true },
+    fa: { stripTashkeel: true, persianLetters: true },
+    ur: { stripTashkeel: true, persianLetters: true },
+    ja: { charTokens: true },
+    zh: { charTokens: true },
+    yue: { charTokens: true },
+    th: { segmentWords: true },
+    lo: { segmentWords: true },
+    km: { segmentWords: true },
+    my: { segmentWords: true },
   };
 
+  const CJK_CHAR = '\\p{Script=Han}\\p{Script=Hiragana}\\p{Script=Katakana}\\u30FC';
+  const CJK_TOKEN_RE = new RegExp(`[${CJK_CHAR}]|[^${CJK_CHAR}]+`, 'gu');
+  const CJK_SINGLE_RE = new RegExp(`^[${CJK_CHAR}]$`, 'u');
+
+  // Arabic-Indic, Extended Arabic-Indic (Persian) and Devanagari digits.
+  const DIGIT_BLOCKS = [0x0660, 0x06F0, 0x0966];
+
+  /**
+   * Resolve options for a language tag ("fa-IR" → fa), with explicit
+   * `overrides` (e.g. { foldDiacritics: true }) taking precedence.
+   */
+  function languageOptions(lang, overrides = {}) {
+    const base = (lang || 'en').toLowerCase().split('-')[0];
+    return { lang: lang || 'en', ...(LANGUAGE_OPTIONS[base] || {}), ...overrides };
+  }
+
+  /** Accept a language tag or an options object wherever options are taken. */
+  function _resolveOptions(options) {
+    if (!options) return languageOptions('en');
+    if (typeof options === 'string') return languageOptions(options);
+    const { lang, ...overrides } = options;
+    return languageOptions(lang, overrides);
+  }
+
   /**
    * Normalize text for comparison:
-   * - lowercase
-   * - remove punctuation
+   * - Unicode NFC, so precomposed and combining forms compare equal
+   * - numerals spelled out ("$5" → "five dollars", see ShadowNumbers) unless
+   *   `spellNumbers: false` is given
+   * - lowercase (locale-aware for Turkish/Azeri)
+   * - per-language letter folding (see LANGUAGE_OPTIONS)
+   * - hyphens and dashes split words ("twenty-four" → "twenty four"), as
+   *   recognizers and learners may write them either way
+   * - remove punctuation, keeping letters, combining marks (Devanagari
+   *   vowel signs etc.), digits and apostrophes
    * - collapse whitespace
+   *
+   * `options` is a language tag ("ru-RU") or { lang, ...LANGUAGE_OPTIONS overrides }.
    */
-  function normalize(text) {
-    return text
-      .toLowerCase()
-      .replace(/[^\w\s']/g, '') // keep apostrophes for contractions
+  function normalize(text, options) {
+    const opts = _resolveOptions(options);
+
+    let out = (text || '')
+      .normalize('NFC')
+      .replace(/[\u2018\u2019\u02BC\u0060\u00B4]/g, "'"); // curly/modifier apostrophes
+
+    if (opts.spellNumbers !== false) out = ShadowNumbers.spellOut(out, opts.lang);
+
+    out = opts.locale ? out.toLocaleLowerCase(opts.locale) : out.toLowerCase();
+    // "İ".toLowerCase() is "i" + combining dot outside Turkish — drop the dot.
+    if (!opts.locale) out = out.replace(/i\u0307/g, 'i');
+    if (opts.foldDotlessI) out = out.replace(/ı/g, 'i');
+
+    if (opts.foldYo) out = out.replace(/ё/g, 'е');
+    if (opts.stripTashkeel) out = out.replace(/[\u0610-\u061A\u064B-\u065F\u0670\u06D6-\u06ED\u0640]/g, '');
+    if (opts.arabicLetters) out = out.replace(/[أإآٱ]/g, 'ا').replace(/ى/g, 'ي');
+    if (opts.persianLetters) out = out.replace(/ي/g, 'ی').replace(/ك/g, 'ک');
+
+    if (opts.foldDiacritics) {
+      out = out
+        .normalize('NFD')
+        .replace(/([\p{Script=Latin}\p{Script=Greek}\p{Script=Cyrillic}])\p{Mn}+/gu, '$1')
+        .normalize('NFC');
+    }
+
+    out = out.replace(/\p{Nd}/gu, (d) => {
+      const code = d.codePointAt(0);
+      for (const zero of DIGIT_BLOCKS) {
+        if (code >= zero && code <= zero + 9) return String(code - zero);
+      }
+      return d;
+    });
+
+    return out
+      .replace(/\p{Pd}/gu, ' ')
+      .replace(/[^\p{L}\p{M}\p{N}\s']/gu, '') // keep apostrophes for contractions
       .replace(/\s+/g, ' ')
       .trim();
   }
 
   /**
-   * Tokenize text into words.
+   * Tokenize text into words. CJK text is split into characters (Latin words
+   * inside it stay whole); Thai-family text uses Intl.Segmenter word breaks.
+   */
+  function tokenize(text, options) {
+    const opts = _resolveOptions(options);
+    const normalized = normalize(text, opts);
+    if (!normalized) return [];
+
+    const chunks = normalized.split(' ');
+    if (opts.charTokens) {
+      return chunks.flatMap((chunk) => chunk.match(CJK_TOKEN_RE) || []);
+    }
+    if (opts.segmentWords && typeof Intl !== 'undefined' && Intl.Segmenter) {
+      const segmenter = new Intl.Segmenter(opts.lang, { granularity: 'word' });
+      return chunks.flatMap((chunk) =>
+        Array.from(segmenter.segment(chunk))
+          .filter((s) => s.isWordLike)
+          .map((s) => s.segment)
+      );
+    }
+    return chunks;
+  }
+
+  /**
+   * Phrase → replacement words for scoring in this language: the built-in
+   * pack, then the user's equivalences (`[{ lang, words: [a, b, ...] }]`,
+   * lang '' for every language). A user group is two-way — every phrase in it
+   * is rewritten to the first one.
    */
-  function tokenize(text) {
-    const normalized = normalize(text);
-    return normalized ? normalized.split(' ') : [];
+  function _equivalenceTable(opts, userEquivalences = []) {
+    const base = opts.lang.toLowerCase().split('-')[0];
+    const table = new Map();
+    for (const [from, to] of Object.entries(EQUIVALENCES[base] || {})) {
+      table.set(from, to.split(' '));
+    }
+    for (const { lang, words } of userEquivalences) {
+      if (lang && lang !== base) continue;
+      const [canonical, ...others] = words.map((phrase) => tokenize(phrase, opts));
+      if (!canonical || canonical.length === 0) continue;
+      for (const phrase of others) {
+        if (phrase.length > 0 && phrase.length <= MAX_PHRASE_WORDS) table.set(phrase.join(' '), canonical);
+      }
+    }
+    return table;
   }
 
   /**
-   * Expand contractions in a word array.
+   * Rewrite a word array with an equivalence table, longest phrase first.
    * "gonna" → ["going", "to"]
    */
-  function expandContractions(words) {
-    const expanded = [];
-    for (const word of words) {
-      const expansion = EQUIVALENCES[word];
-      if (expansion) {
-        expanded.push(...expansion.split(' '));
-      } else {
-        expanded.push(word);
+  function _applyEquivalences(words, table) {
+    if (table.size === 0) return words;
+    const out = [];
+    let i = 0;
+    while (i < words.length) {
+      let length = Math.min(MAX_PHRASE_WORDS, words.length - i);
+      for (; length > 0; length--) {
+        const replacement = table.get(length === 1 ? words[i] : words.slice(i, i + length).join(' '));
+        if (replacement) {
+          out.push(...replacement);
+          break;
+        }
       }
+      if (length === 0) out.push(words[i++]);
+      else i += length;
+    }
+    return out;
+  }
+
+  /**
+   * Check user equivalences from an imported JSON pack — either
+   * { equivalences: [...] } as exported or a bare array — and return them as
+   * [{ lang, words }]. Throws an Error with a user-facing message if the file
+   * isn't a pack.
+   */
+  function parseEquivalences(json) {
+    let data;
+    try {
+      data = JSON.parse(json);
+    } catch (err) {
+      throw new Error('This file is not valid JSON.');
     }
-    return expanded;
+    const list = Array.isArray(data) ? data : data && data.equivalences;
+    if (!Array.isArray(list)) throw new Error('No equivalences found in this file.');
+    if (list.length > MAX_EQUIVALENCES) throw new Error(`A pack can hold at most ${MAX_EQUIVALENCES} equivalences.`);
+
+    return list.map((entry, i) => {
+      const words = entry && Array.isArray(entry.words) ? entry.words : entry;
+      // Equivalences apply per base language: "en-US" counts as "en".
+      const tag = entry && typeof entry.lang === 'string' ? entry.lang : '';
+      const lang = tag.toLowerCase().split(/[-_]/)[0];
+      const valid = Array.isArray(words) && words.length >= 2 &&
+        words.every((w) => typeof w === 'string' && w.trim() && w.length <= MAX_PHRASE_LENGTH);
+      if (!valid) throw new Error(`Equivalence ${i + 1} should list two or more words or phrases.`);
+      if (!/^([a-z]{2,3})?$/.test(lang)) {
+        throw new Error(`Equivalence ${i + 1} has an unknown language "${tag}" — use a code like "en".`);
+      }
+      return { lang, words: words.map((w) => w.trim()) };
+    });
+  }
+
+  /** User equivalences as a JSON pack for export (the format parseEquivalences reads). */
+  function exportEquivalences(equivalences) {
+    return JSON.stringify({ format: 'shadow-talk-equivalences', version: 1, equivalences }, null, 2);
   }
 
   /**
    * Levenshtein distance between two strings (character level).
    */
   function levenshtein(a, b) {
+    // Compare code points, not UTF-16 units, so astral letters count once.
+    a = Array.from(a);
+    b = Array.from(b);
     const m = a.length;
     const n = b.length;
     const dp = Array.from({ length: m + 1 }, () => Array(n + 1).fill(0));
@@ -128,117 +442,347 @@ const ShadowScoring = (() => {
 
   /**
    * Check if two words are "close enough" (fuzzy match).
-   * Allows small typos / speech recognition errors.
+   * Allows small typos / speech recognition errors. Single characters (CJK
+   * tokens) must match exactly — one edit would turn any character into any other.
    */
-  function isCloseMatch(word1, word2) {
+  function isCloseMatch(word1, word2, tolerance = 1) {
     if (word1 === word2) return true;
+    if (CJK_SINGLE_RE.test(word1) || CJK_SINGLE_RE.test(word2)) return false;
 
-    const dist = levenshtein(word1, word2);
     const maxLen = Math.max(word1.length, word2.length);
 
-    // Allow ~30% character difference for short words, more lenient for longer
-    if (maxLen <= 3) return dist <= 1;
-    if (maxLen <= 6) return dist <= 2;
-    return dist <= Math.floor(maxLen * 0.3);
+    // Allow ~30% character difference, scaled by `tolerance` (a profile
+    // setting): at 1, no edits up to 3 letters and one up to 6; at 1.25,
+    // one and two; at 0.5, none.
+    const allowed = Math.floor(
+      (maxLen <= 3 ? 0.8 : maxLen <= 6 ? 1.6 : maxLen * 0.3) * tolerance
+    );
+
+    // The length difference alone often rules a pair out without the full DP.
+    if (Math.abs(Array.from(word1).length - Array.from(word2).length) > allowed) return false;
+    return levenshtein(word1, word2) <= allowed;
   }
 
   /**
-   * Word-level LCS (Longest Common Subsequence) to align words.
-   * Returns indices of matched words.
+   * How a spoken word matches a target word: 'correct' (same word),
+   * 'phonetic' (sounds the same — see ShadowPhonetics), 'close' (small
+   * spelling difference) or null.
    */
-  function wordLCS(original, spoken) {
-    const m = original.length;
-    const n = spoken.length;
-    const dp = Array.from({ length: m + 1 }, () => Array(n + 1).fill(0));
+  function _matchKind(target, spoken, lang, tolerance) {
+    if (target === spoken) return 'correct';
+    if (ShadowPhonetics.soundsAlike(target, spoken, lang)) return 'phonetic';
+    if (isCloseMatch(target, spoken, tolerance)) return 'close';
+    return null;
+  }
+
+  /**
+   * Weighted edit-distance alignment of target and spoken words.
+   * `kinds[i][j]` is the precomputed _matchKind of target word i and spoken
+   * word j; `canSubstitute(j)` says whether spoken word j may stand in for a
+   * target word (fillers may not).
+   *
+   * Returns the edit script in order: [{ op, targetIndex, spokenIndex }],
+   * op being 'match' | 'phonetic' | 'close' | 'substitution' | 'insertion' |
+   * 'deletion' | 'reorder'. A reorder is a target word that was said, but
+   * elsewhere — it sits at the target's place with the spoken word's index.
+   */
+  function _align(m, n, kinds, canSubstitute) {
+    const cost = Array.from({ length: m + 1 }, () => new Float64Array(n + 1));
+    // 1 = diagonal (match or substitution), 2 = deletion, 3 = insertion
+    const move = Array.from({ length: m + 1 }, () => new Uint8Array(n + 1));
+    for (let i = 1; i <= m; i++) {
+      cost[i][0] = i * EDIT_COSTS.deletion;
+      move[i][0] = 2;
+    }
+    for (let j = 1; j <= n; j++) {
+      cost[0][j] = j * EDIT_COSTS.insertion;
+      move[0][j] = 3;
+    }
 
     for (let i = 1; i <= m; i++) {
       for (let j = 1; j <= n; j++) {
-        if (original[i - 1] === spoken[j - 1] || isCloseMatch(original[i - 1], spoken[j - 1])) {
-          dp[i][j] = dp[i - 1][j - 1] + 1;
+        const kind = kinds[i - 1][j - 1];
+        const pairCost = kind ? EDIT_COSTS[kind]
+          : canSubstitute(j - 1) ? EDIT_COSTS.substitution : Infinity;
+        const diagonal = cost[i - 1][j - 1] + pairCost;
+        const deletion = cost[i - 1][j] + EDIT_COSTS.deletion;
+        const insertion = cost[i][j - 1] + EDIT_COSTS.insertion;
+        if (diagonal <= deletion && diagonal <= insertion) {
+          cost[i][j] = diagonal;
+          move[i][j] = 1;
+        } else if (deletion <= insertion) {
+          cost[i][j] = deletion;
+          move[i][j] = 2;
         } else {
-          dp[i][j] = Math.max(dp[i - 1][j], dp[i][j - 1]);
+          cost[i][j] = insertion;
+          move[i][j] = 3;
         }
       }
     }
 
-    // Backtrack to find which original words were matched
-    const matchedOriginal = new Set();
-    const matchedSpoken = new Set();
-    let i = m, j = n;
-    while (i > 0 && j > 0) {
-      if (original[i - 1] === spoken[j - 1] || isCloseMatch(original[i - 1], spoken[j - 1])) {
-        matchedOriginal.add(i - 1);
-        matchedSpoken.add(j - 1);
+    const edits = [];
+    let i = m;
+    let j = n;
+    while (i > 0 || j > 0) {
+      if (move[i][j] === 1) {
+        const kind = kinds[i - 1][j - 1];
+        edits.push({ op: kind === 'correct' ? 'match' : kind || 'substitution', targetIndex: i - 1, spokenIndex: j - 1 });
         i--;
         j--;
-      } else if (dp[i - 1][j] > dp[i][j - 1]) {
+      } else if (move[i][j] === 2) {
+        edits.push({ op: 'deletion', targetIndex: i - 1 });
         i--;
       } else {
+        edits.push({ op: 'insertion', spokenIndex: j - 1 });
         j--;
       }
     }
+    edits.reverse();
 
-    return { matchedOriginal, matchedSpoken, lcsLength: dp[m][n] };
+    // A deleted target word that matches an inserted spoken word was said
+    // out of order: fold the pair into one reorder.
+    const insertions = edits.filter((e) => e.op === 'insertion');
+    for (const edit of edits) {
+      if (edit.op !== 'deletion') continue;
+      const moved = insertions.find((e) => e.op === 'insertion' && kinds[edit.targetIndex][e.spokenIndex]);
+      if (!moved) continue;
+      moved.op = 'reorder-source';
+      edit.op = 'reorder';
+      edit.spokenIndex = moved.spokenIndex;
+    }
+    return edits.filter((e) => e.op !== 'reorder-source');
   }
 
   /**
-   * Score user speech against original text.
-   *
-   * Returns {
-   *   score: 0-100,
-   *   words: [{ word, status: 'correct' | 'close' | 'missed' }],
-   *   userWords: [{ word, status: 'correct' | 'close' | 'extra' }],
-   *   matchedCount, totalCount
-   * }
+   * Recognition segments from `user`: a plain string, or a ShadowSpeech.listen
+   * result ({ transcript, segments: [{ alternatives: [{ transcript, confidence }] }] }).
+   * Segments with nothing but empty alternatives are dropped.
    */
-  function score(originalText, userText) {
-    if (!userText || !userText.trim()) {
-      const words = tokenize(originalText).map((w) => ({ word: w, status: 'missed' }));
-      return { score: 0, words, userWords: [], matchedCount: 0, totalCount: words.length };
-    }
-
-    let origWords = tokenize(originalText);
-    let userWords = tokenize(userText);
+  function _segments(user) {
+    if (!user) return [];
+    const segments = typeof user === 'string'
+      ? [{ alternatives: [{ transcript: user, confidence: 0 }] }]
+      : (user.segments && user.segments.length > 0
+        ? user.segments
+        : [{ alternatives: [{ transcript: user.transcript || '', confidence: user.confidence || 0 }] }]);
+    return segments
+      .map((segment) => ({
+        alternatives: segment.alternatives.filter((alt) => alt.transcript && alt.transcript.trim()),
+      }))
+      .filter((segment) => segment.alternatives.length > 0);
+  }
 
-    // Expand contractions on both sides for fair comparison
-    origWords = expandContractions(origWords);
-    userWords = expandContractions(userWords);
+  /**
+   * Weight of a target word under a profile: 0 for an ignored hesitation,
+   * `functionWeight` for function words, otherwise 1.
+   */
+  function _weight(word, profile, base) {
+    if (profile.ignoreFillers && HESITATION_RE.test(word)) return 0;
+    return FUNCTION_WORDS[base] && FUNCTION_WORDS[base].has(word) ? profile.functionWeight : 1;
+  }
 
-    const { matchedOriginal, matchedSpoken, lcsLength } = wordLCS(origWords, userWords);
+  function _isFiller(word, base) {
+    return HESITATION_RE.test(word) || !!(FILLERS[base] && FILLERS[base].has(word));
+  }
 
-    // Build result for original words
-    const resultWords = origWords.map((word, idx) => {
-      if (matchedOriginal.has(idx)) {
-        // Check if it's exact or close
-        // Find the corresponding spoken word
-        const isExact = userWords.some(
-          (uw, ui) => matchedSpoken.has(ui) && uw === word
-        );
-        return { word, status: isExact ? 'correct' : 'close' };
+  /**
+   * Score the original words against one pick of alternatives (`choice[s]` is
+   * the alternative index used for segment s) under a profile. `kindOf` is
+   * the (memoized) _matchKind for this profile; `equivalences` the
+   * _equivalenceTable.
+   */
+  function _scoreChoice(origWords, segments, choice, opts, profile, kindOf, equivalences) {
+    const userWords = [];
+    const confidences = [];
+    const parts = [];
+    segments.forEach((segment, s) => {
+      const alt = segment.alternatives[choice[s]];
+      parts.push(alt.transcript);
+      for (const word of _applyEquivalences(tokenize(alt.transcript, opts), equivalences)) {
+        userWords.push(word);
+        confidences.push(alt.confidence || 0);
       }
-      return { word, status: 'missed' };
     });
 
-    // Build result for user words
-    const resultUserWords = userWords.map((word, idx) => {
-      if (matchedSpoken.has(idx)) {
-        return { word, status: 'correct' };
+    const base = opts.lang.toLowerCase().split('-')[0];
+    const isUnclear = (j) => confidences[j] > 0 && confidences[j] < UNCLEAR_CONFIDENCE;
+    const isFiller = (j) => profile.ignoreFillers && _isFiller(userWords[j], base);
+
+    // Every pair is classified once up front; the alignment only reads it.
+    const kinds = origWords.map((target) => userWords.map((spoken) => kindOf(target, spoken)));
+    const edits = _align(origWords.length, userWords.length, kinds, (j) => !isFiller(j));
+
+    const words = new Array(origWords.length);
+    const spokenStatus = new Array(userWords.length);
+    edits.forEach((edit, e) => {
+      const { op, targetIndex: i, spokenIndex: j } = edit;
+      const word = origWords[i];
+      const heard = userWords[j];
+      switch (op) {
+        case 'match':
+        case 'close':
+          words[i] = { word, status: op === 'match' ? 'correct' : 'close' };
+          spokenStatus[j] = 'correct';
+          break;
+        case 'phonetic':
+          words[i] = { word, status: 'phonetic', heard };
+          spokenStatus[j] = 'correct';
+          break;
+        case 'substitution':
+          // An unsure recognizer, not necessarily the learner's mistake.
+          words[i] = isUnclear(j) ? { word, status: 'unclear' } : { word, status: 'substituted', heard };
+          spokenStatus[j] = isUnclear(j) ? 'unclear' : 'substituted';
+          break;
+        case 'reorder':
+          words[i] = { word, status: 'reordered', heard };
+          spokenStatus[j] = 'reordered';
+          break;
+        case 'insertion':
+          spokenStatus[j] = isUnclear(j) ? 'unclear' : isFiller(j) ? 'filler' : 'extra';
+          break;
+        case 'deletion':
+          // "Unclear" when the spoken words in its gap were low-confidence.
+          words[i] = { word, status: _gapIsUnclear(edits, e, isUnclear) ? 'unclear' : 'missed' };
+          break;
       }
-      return { word, status: 'extra' };
     });
 
+    // Weighted credit: correct words earn their full weight, sound-alike and
+    // close ones the profile's share, reordered ones REORDER_CREDIT. Unclear
+    // words are left out altogether rather than counted against the learner.
+    const credit = {
+      correct: 1, phonetic: profile.phoneticCredit, close: profile.closeCredit, reordered: REORDER_CREDIT,
+    };
+    let earned = 0;
+    let possible = 0;
+    words.forEach(({ word, status }) => {
+      if (status === 'unclear') return;
+      const weight = _weight(word, profile, base);
+      possible += weight;
+      earned += weight * (credit[status] || 0);
+    });
+    possible += profile.extraPenalty * spokenStatus.filter((status) => status === 'extra').length;
+
     const totalCount = origWords.length;
-    const matchedCount = lcsLength;
-    const percentage = totalCount > 0 ? Math.round((matchedCount / totalCount) * 100) : 0;
+    const matchedCount = edits.filter((e) => e.op === 'match' || e.op === 'phonetic' || e.op === 'close').length;
+    const percentage = possible > 0 ? Math.round((earned / possible) * 100) : 0;
 
     return {
       score: percentage,
-      words: resultWords,
-      userWords: resultUserWords,
+      words,
+      userWords: userWords.map((word, j) => ({ word, status: spokenStatus[j] })),
+      edits: edits.map(({ op, targetIndex, spokenIndex }) => ({
+        op,
+        target: origWords[targetIndex],
+        spoken: userWords[spokenIndex],
+        targetIndex,
+        spokenIndex,
+      })),
       matchedCount,
       totalCount,
+      transcript: parts.join('').trim(),
+    };
+  }
+
+  /**
+   * Whether the spoken words around deletion `e` — the insertions between its
+   * aligned neighbours in the edit script — include a low-confidence one.
+   */
+  function _gapIsUnclear(edits, e, isUnclear) {
+    const aligned = (op) => op !== 'insertion' && op !== 'deletion' && op !== 'reorder';
+    for (const step of [-1, 1]) {
+      for (let k = e + step; k >= 0 && k < edits.length && !aligned(edits[k].op); k += step) {
+        if (edits[k].op === 'insertion' && isUnclear(edits[k].spokenIndex)) return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Score user speech against original text.
+   *
+   * `user` is the recognized text, or a ShadowSpeech.listen result whose
+   * per-segment alternatives are tried so the reading closest to the target
+   * wins — a correct utterance heard as a homophone still scores.
+   *
+   * Returns {
+   *   score: 0-100, weighted by the scoring profile; unclear words don't count,
+   *   words: [{ word, status: 'correct' | 'close' | 'phonetic' | 'substituted' |
+   *            'reordered' | 'unclear' | 'missed', heard }],
+   *            // `heard`: what was said instead (phonetic, substituted, reordered)
+   *   userWords: [{ word, status: 'correct' | 'substituted' | 'reordered' |
+   *                'unclear' | 'filler' | 'extra' }],
+   *   edits: [{ op, target, spoken, targetIndex, spokenIndex }],  // see _align()
+   *   matchedCount, totalCount,
+   *   transcript,  // the alternative text that was scored
+   *   profile      // the PROFILES key used
+   * }
+   *
+   * `options` is the recognition language ("fa-IR") or
+   * { lang, profile, equivalences, ...normalization overrides } — see
+   * normalize(), PROFILES ('standard' by default) and _equivalenceTable().
+   */
+  function score(originalText, user, options) {
+    const { profile: profileName, equivalences: userEquivalences, ...normalization } =
+      typeof options === 'object' && options ? options : { lang: options };
+    const opts = _resolveOptions(normalization);
+    const name = PROFILES[profileName] ? profileName : DEFAULT_PROFILE;
+    const profile = PROFILES[name];
+    const segments = _segments(user);
+
+    if (segments.length === 0) {
+      const words = tokenize(originalText, opts).map((w) => ({ word: w, status: 'missed' }));
+      return {
+        score: 0,
+        words,
+        userWords: [],
+        edits: words.map(({ word }, i) => ({ op: 'deletion', target: word, targetIndex: i })),
+        matchedCount: 0,
+        totalCount: words.length,
+        transcript: '',
+        profile: name,
+      };
+    }
+
+    // Rewrite equivalent forms on both sides for fair comparison
+    const equivalences = _equivalenceTable(opts, userEquivalences);
+    const origWords = _applyEquivalences(tokenize(originalText, opts), equivalences);
+
+    // Word pairs repeat across alternatives; classify each pair once.
+    const kindCache = new Map();
+    const kindOf = (target, spoken) => {
+      const key = target + '\u0000' + spoken;
+      if (!kindCache.has(key)) kindCache.set(key, _matchKind(target, spoken, opts.lang, profile.tolerance));
+      return kindCache.get(key);
     };
+
+    // Start from each segment's top alternative, then swap in any other
+    // alternative that scores higher, one segment at a time.
+    let choice = segments.map(() => 0);
+    let best = _scoreChoice(origWords, segments, choice, opts, profile, kindOf, equivalences);
+    segments.forEach((segment, s) => {
+      for (let k = 1; k < segment.alternatives.length; k++) {
+        const candidate = choice.map((c, i) => (i === s ? k : c));
+        const result = _scoreChoice(origWords, segments, candidate, opts, profile, kindOf, equivalences);
+        if (result.score > best.score ||
+          (result.score === best.score && result.matchedCount > best.matchedCount)) {
+          best = result;
+          choice = candidate;
+        }
+      }
+    });
+    return { ...best, profile: name };
   }
 
-  return { score, normalize, tokenize, levenshtein, isCloseMatch };
+  return {
+    score,
+    normalize,
+    tokenize,
+    languageOptions,
+    levenshtein,
+    isCloseMatch,
+    parseEquivalences,
+    exportEquivalences,
+    PROFILES,
+  };
 })();
@@ -1,64 +1,265 @@
 /**
- * speech.js — Web Speech API wrapper for listening to user speech.
+ * speech.js — Speech recognition for listening to user speech.
  *
- * Uses continuous mode so the user can speak multiple sentences
- * without being cut off. Finalizes after a silence gap.
+ * listen() runs on a pluggable backend. The default is the browser's Web
+ * Speech API; other backends (e.g. local-speech.js, which posts the attempt
+ * to a recognizer on localhost) register themselves with registerBackend().
+ *
+ * A backend is { isSupported(), listen(lang, options), stop(), abort() }:
+ * - listen() gets { timeout, silenceTimeout, onInterim, takeRecording,
+ *   ...setBackend options } and resolves with { transcript, confidence,
+ *   segments, words? } (see below)
+ * - stop() ends the attempt early but keeps what was said; abort() drops it
+ *
+ * listen() opens the mic once (kept until release()) and shares it: voice
+ * activity detection (ShadowVAD) and the attempt's recording (ShadowRecorder)
+ * both run on it. takeRecording() ends the recording and resolves with its
+ * { blob, duration } (or null), so a backend that transcribes audio itself
+ * reuses it instead of recording again.
+ *
+ * End of speech is decided by the voice activity detector, which calls the
+ * backend's stop(). Backends get `silenceTimeout: null` then, and only use
+ * their own silence handling when the detector couldn't start.
  */
 
 const ShadowSpeech = (() => {
   let recognition = null;
   let isListening = false;
+  // Bumped per listen() so a finished old attempt can't clear the flag of a newer one.
+  let listenCount = 0;
+
+  // Alternatives requested per result, so scoring can pick the reading
+  // closest to the target sentence.
+  const MAX_ALTERNATIVES = 5;
+
+  const backends = {};
+  let backendName = 'webspeech';
+  let backendOptions = {};
+
+  // The mic stream shared by every listen() until release().
+  let mic = null;
 
   /**
-   * Check if Web Speech API is available.
+   * Make a backend available to setBackend() under `name`.
+   */
+  function registerBackend(name, backend) {
+    backends[name] = backend;
+  }
+
+  /**
+   * Use the backend registered as `name` for the next listen(). `options` are
+   * passed to its listen() (e.g. { endpoint } for the local backend). Unknown
+   * names fall back to the Web Speech API.
+   */
+  function setBackend(name, options = {}) {
+    backendName = backends[name] ? name : 'webspeech';
+    backendOptions = options;
+  }
+
+  function getBackend() {
+    return backendName;
+  }
+
+  /**
+   * Check if the current backend can run in this browser.
    */
   function isSupported() {
+    return backends[backendName].isSupported();
+  }
+
+  /**
+   * Start listening for speech with the current backend.
+   *
+   * Keeps listening until the speaker goes quiet for `silenceTimeout` ms
+   * after speaking, nobody speaks for `noSpeechTimeout` ms, `timeout` ms
+   * pass, or stop()/abort() is called. `onInterim(text)` is called with live
+   * partial results where the backend has them, so the UI can show what's
+   * being recognized in real-time.
+   *
+   * Resolves with { transcript, confidence, segments, words? }:
+   * - transcript: the recognized text (top alternative of every result)
+   * - confidence: the recognizer's own 0-1 confidence, 0 if not reported
+   * - segments: [{ isFinal, alternatives: [{ transcript, confidence }] }]
+   * - words: [{ word, start, end, confidence }] in seconds from the start of
+   *   the attempt, when the backend reports word timestamps
+   * - voice: { latency, duration, pauses: [{ at, duration }] } in seconds from
+   *   voice activity detection — latency from when detection was armed (the
+   *   mic open) to the first speech, pauses inside the speech; null if no
+   *   speech was detected or VAD is off
+   * - recording: the attempt's { blob, duration }, or null if it couldn't
+   *   be recorded
+   */
+  async function listen(lang = 'en-US', timeout = 20000, silenceTimeout = 2000, onInterim = null,
+    noSpeechTimeout = 8000) {
+    const backend = backends[backendName];
+    if (!backend.isSupported()) {
+      throw new Error('Speech recognition is not supported in this browser.');
+    }
+    if (isListening) {
+      throw new Error('Already listening.');
+    }
+
+    const session = ++listenCount;
+    isListening = true;
+    let detector = null;
+    let taken = null;
+    try {
+      const stream = await _openMic();
+      detector = stream && await _watchVoice(backend, session, stream, silenceTimeout, noSpeechTimeout);
+      // stop()/abort() while the mic was opening — nothing was heard.
+      if (session !== listenCount || !isListening) {
+        return { transcript: '', confidence: 0, segments: [] };
+      }
+
+      if (stream) {
+        ShadowRecorder.start(stream)
+          .catch((err) => console.warn('[ShadowTalk] Recording unavailable:', err));
+      }
+      const takeRecording = () => {
+        taken = taken || (stream ? ShadowRecorder.stop() : Promise.resolve(null));
+        return taken;
+      };
+      const result = await backend.listen(lang, {
+        ...backendOptions,
+        timeout,
+        silenceTimeout: detector ? null : silenceTimeout,
+        onInterim,
+        takeRecording,
+      });
+      return { ...result, voice: _voiceTiming(detector), recording: await takeRecording() };
+    } finally {
+      if (detector) detector.stop();
+      if (session === listenCount) {
+        // A failed attempt's recording is dropped.
+        if (!taken) ShadowRecorder.cancel();
+        isListening = false;
+      }
+    }
+  }
+
+  /**
+   * Close the shared mic stream (at the end of a session). The next listen()
+   * opens it again.
+   */
+  function release() {
+    if (mic) {
+      mic.getTracks().forEach((t) => t.stop());
+      mic = null;
+    }
+  }
+
+  /** The shared mic stream, opened if needed; null if it can't be. */
+  async function _openMic() {
+    if (mic && mic.getAudioTracks().some((t) => t.readyState === 'live')) return mic;
+    if (!(navigator.mediaDevices && navigator.mediaDevices.getUserMedia)) return null;
+    try {
+      mic = await navigator.mediaDevices.getUserMedia({ audio: true });
+    } catch (err) {
+      console.warn('[ShadowTalk] Microphone unavailable:', err);
+      mic = null;
+    }
+    return mic;
+  }
+
+  /**
+   * The detector's speech timeline in seconds. Latency counts from when
+   * detection was armed, so the time the mic took to open isn't the learner's.
+   */
+  function _voiceTiming(detector) {
+    const summary = detector && detector.summary();
+    if (!summary) return null;
+    return {
+      latency: Math.max(0, summary.speechStart - summary.armedAt) / 1000,
+      duration: (summary.speechEnd - summary.speechStart) / 1000,
+      pauses: summary.pauses.map((p) => ({
+        at: (p.start - summary.speechStart) / 1000,
+        duration: p.duration / 1000,
+      })),
+    };
+  }
+
+  /**
+   * Start voice activity detection on `stream` for one listen() session: the
+   * end of speech stops the backend (keeping results), no speech at all
+   * aborts it. Resolves with the detector, or null if the level can't be
+   * watched.
+   */
+  async function _watchVoice(backend, session, stream, silenceTimeout, noSpeechTimeout) {
+    if (!ShadowVAD.isSupported()) return null;
+    const current = () => session === listenCount && isListening;
+    try {
+      return await ShadowVAD.watch({
+        stream,
+        silenceMs: silenceTimeout,
+        noSpeechMs: noSpeechTimeout,
+        onSpeechEnd: () => { if (current()) backend.stop(); },
+        onNoSpeech: () => { if (current()) backend.abort(); },
+      });
+    } catch (err) {
+      console.warn('[ShadowTalk] Voice activity detection unavailable:', err);
+      return null;
+    }
+  }
+
+  /**
+   * Stop listening gracefully (keeps results).
+   */
+  function stop() {
+    backends[backendName].stop();
+    isListening = false;
+  }
+
+  /**
+   * Abort listening immediately (discard results).
+   */
+  function abort() {
+    backends[backendName].abort();
+    isListening = false;
+  }
+
+  // ---- Web Speech API backend ----
+
+  function _webSpeechSupported() {
     return !!(window.SpeechRecognition || window.webkitSpeechRecognition);
   }
 
   /**
-   * Start listening for speech.
+   * Web Speech API backend: Chrome's built-in recognizer.
    *
    * Uses continuous mode — keeps listening until:
-   * - User stops speaking for `silenceTimeout` ms (default 2s)
+   * - No new results for `silenceTimeout` ms, unless it is null (VAD decides)
    * - Overall `timeout` is reached (default 20s)
    * - stop() or abort() is called externally
    *
    * `onInterim(text)` callback is called with live partial results
    * so the UI can show what's being recognized in real-time.
    *
-   * Returns a Promise that resolves with { transcript, confidence }.
+   * Returns a Promise that resolves with { transcript, confidence, segments }:
+   * - transcript: the top alternative of every result, joined
+   * - confidence: mean recognizer confidence of the final results (0 if none)
+   * - segments: one per recognition result, [{ isFinal, alternatives:
+   *   [{ transcript, confidence }] }] — confidence is 0 when not reported
    */
-  function listen(lang = 'en-US', timeout = 20000, silenceTimeout = 2000, onInterim = null) {
+  function _webSpeechListen(lang, { timeout, silenceTimeout, onInterim }) {
     return new Promise((resolve, reject) => {
-      if (!isSupported()) {
-        reject(new Error('Speech recognition is not supported in this browser.'));
-        return;
-      }
-
-      if (isListening) {
-        reject(new Error('Already listening.'));
-        return;
-      }
-
       const SpeechRecognition =
         window.SpeechRecognition || window.webkitSpeechRecognition;
       recognition = new SpeechRecognition();
       recognition.lang = lang;
       recognition.continuous = true;
       recognition.interimResults = true;
-      recognition.maxAlternatives = 1;
+      recognition.maxAlternatives = MAX_ALTERNATIVES;
 
       let settled = false;
       let overallTimeoutId = null;
       let silenceTimeoutId = null;
       let finalParts = '';   // confirmed final results
       let latestInterim = ''; // latest interim (not yet final)
+      let segments = [];       // every result with its alternatives
 
       const settle = (fn, value) => {
         if (settled) return;
         settled = true;
-        isListening = false;
         if (overallTimeoutId) clearTimeout(overallTimeoutId);
         if (silenceTimeoutId) clearTimeout(silenceTimeoutId);
         try { recognition.stop(); } catch (e) {}
@@ -70,21 +271,27 @@ const ShadowSpeech = (() => {
         return (finalParts + latestInterim).trim();
       };
 
+      /** The result so far, with the recognizer's own confidence. */
+      const currentResult = () => {
+        const finals = segments.filter((seg) => seg.isFinal && seg.alternatives.length > 0);
+        const confidence = finals.length > 0
+          ? finals.reduce((sum, seg) => sum + seg.alternatives[0].confidence, 0) / finals.length
+          : 0;
+        return { transcript: getBestTranscript(), confidence, segments };
+      };
+
       const finalize = () => {
-        const text = getBestTranscript();
-        settle(resolve, {
-          transcript: text,
-          confidence: text ? 0.8 : 0,
-        });
+        settle(resolve, currentResult());
       };
 
       /**
        * Reset the silence timer — called every time new speech is detected.
        */
       const resetSilenceTimer = () => {
+        if (silenceTimeout === null) return;
         if (silenceTimeoutId) clearTimeout(silenceTimeoutId);
         silenceTimeoutId = setTimeout(() => {
-          if (isListening && getBestTranscript()) {
+          if (!settled && getBestTranscript()) {
             finalize();
           }
         }, silenceTimeout);
@@ -94,6 +301,8 @@ const ShadowSpeech = (() => {
         let interim = '';
         let final = '';
 
+        const latest = [];
+
         for (let i = 0; i < event.results.length; i++) {
           const result = event.results[i];
           if (result.isFinal) {
@@ -101,10 +310,18 @@ const ShadowSpeech = (() => {
           } else {
             interim += result[0].transcript;
           }
+          latest.push({
+            isFinal: result.isFinal,
+            alternatives: Array.from(result, (alt) => ({
+              transcript: alt.transcript,
+              confidence: alt.confidence || 0,
+            })),
+          });
         }
 
         finalParts = final;
         latestInterim = interim;
+        segments = latest;
 
         // Show live preview
         const liveText = getBestTranscript();
@@ -118,9 +335,9 @@ const ShadowSpeech = (() => {
 
       recognition.onerror = (event) => {
         if (event.error === 'no-speech') {
-          settle(resolve, { transcript: '', confidence: 0 });
+          settle(resolve, { transcript: '', confidence: 0, segments: [] });
         } else if (event.error === 'aborted') {
-          settle(resolve, { transcript: getBestTranscript(), confidence: 0 });
+          settle(resolve, currentResult());
         } else {
           settle(reject, new Error(`Speech recognition error: ${event.error}`));
         }
@@ -128,49 +345,39 @@ const ShadowSpeech = (() => {
 
       recognition.onend = () => {
         if (!settled) {
-          const text = getBestTranscript();
-          settle(resolve, {
-            transcript: text,
-            confidence: text ? 0.8 : 0,
-          });
+          settle(resolve, currentResult());
         }
       };
 
-      isListening = true;
       recognition.start();
 
       // Start silence timer (will finalize if user never speaks)
       resetSilenceTimer();
 
       // Overall timeout safety net
-      overallTimeoutId = setTimeout(() => {
-        if (isListening) {
-          finalize();
-        }
-      }, timeout);
+      overallTimeoutId = setTimeout(finalize, timeout);
     });
   }
 
-  /**
-   * Stop listening gracefully (keeps results).
-   */
-  function stop() {
+  function _webSpeechStop() {
     if (recognition) {
       try { recognition.stop(); } catch (e) {}
     }
-    isListening = false;
   }
 
-  /**
-   * Abort listening immediately (discard results).
-   */
-  function abort() {
+  function _webSpeechAbort() {
     if (recognition) {
       try { recognition.abort(); } catch (e) {}
     }
-    isListening = false;
   }
 
+  registerBackend('webspeech', {
+    isSupported: _webSpeechSupported,
+    listen: _webSpeechListen,
+    stop: _webSpeechStop,
+    abort: _webSpeechAbort,
+  });
+
   function getIsListening() {
     return isListening;
   }
@@ -180,12 +387,17 @@ const ShadowSpeech = (() => {
       en: 'en-US', 'en-US': 'en-US', 'en-GB': 'en-GB',
       es: 'es-ES', fr: 'fr-FR', de: 'de-DE', it: 'it-IT',
       pt: 'pt-BR', ja: 'ja-JP', ko: 'ko-KR', zh: 'zh-CN',
-      'zh-Hans': 'zh-CN', 'zh-Hant': 'zh-TW', ru: 'ru-RU',
+      'zh-Hans': 'zh-CN', 'zh-Hant': 'zh-TW', 'zh-TW': 'zh-TW', ru: 'ru-RU',
       ar: 'ar-SA', hi: 'hi-IN', tr: 'tr-TR', pl: 'pl-PL',
-      nl: 'nl-NL', sv: 'sv-SE',
+      nl: 'nl-NL', sv: 'sv-SE', fa: 'fa-IR', 'pt-PT': 'pt-PT',
     };
-    return map[ytLangCode] || ytLangCode;
+    if (!ytLangCode) return 'en-US';
+    // "es-419", "fr-CA", … fall back to the base language's recognizer locale.
+    return map[ytLangCode] || map[ytLangCode.split('-')[0]] || ytLangCode;
   }
 
-  return { isSupported, listen, stop, abort, getIsListening, mapLanguage };
+  return {
+    isSupported, listen, stop, abort, release, getIsListening, mapLanguage,
+    registerBackend, setBackend, getBackend,
+  };
 })();
@@ -0,0 +1,136 @@
+/**
+ * storage.js — Promise wrapper around chrome.storage.local.
+ *
+ * Per-video data lives under "<kind>:<videoId>" keys (e.g. "subtitles:dQw4w9WgXcQ")
+ * so one video's data can be read or dropped without touching the rest.
+ *
+ * The layout is versioned: "schemaVersion" holds the version the stored data
+ * is in, and migrate() brings older data up to SCHEMA_VERSION.
+ */
+
+const ShadowStorage = (() => {
+  const SETTINGS_KEY = 'settings';
+  const VERSION_KEY = 'schemaVersion';
+  const SCHEMA_VERSION = 1;
+  const DEFAULT_SETTINGS = {
+    // Save the learner's recordings per video instead of only for this tab.
+    keepRecordings: false,
+    // Scoring strictness: a ShadowScoring.PROFILES key.
+    scoringProfile: 'standard',
+    // The learner's own "counts as the same" words: [{ lang, words: [a, b] }],
+    // lang '' for every language (see ShadowScoring.parseEquivalences).
+    equivalences: [],
+    // Speech recognition backend: 'webspeech' (browser) or 'local' (server on localhost).
+    recognizer: 'webspeech',
+    localEndpoint: 'http://localhost:8080/inference',
+    // When an attempt ends (ms). The pause that ends it grows from silenceMin
+    // for short sentences to silenceMax for long ones; noSpeechTimeout is how
+    // long to wait for the learner to start.
+    silenceMin: 700,
+    silenceMax: 2000,
+    noSpeechTimeout: 6000,
+  };
+
+  /**
+   * Migrations, in order. Each brings the stored data from `version - 1` to
+   * `version`; `run()` reads only the keys it needs and resolves with
+   * { set: { key: value }, remove: [key] }. Never edit a released one — add
+   * a new version instead.
+   */
+  const MIGRATIONS = [
+    {
+      // 0 → 1: data from before versioning. Drop settings this version no
+      // longer reads, so defaults for renamed ones can apply.
+      version: 1,
+      async run() {
+        const saved = await get(SETTINGS_KEY);
+        if (!saved) return { set: {}, remove: [] };
+        const settings = {};
+        for (const key of Object.keys(DEFAULT_SETTINGS)) {
+          if (key in saved) settings[key] = saved[key];
+        }
+        return { set: { [SETTINGS_KEY]: settings }, remove: [] };
+      },
+    },
+  ];
+
+  let migration = null;
+
+  /**
+   * Bring stored data up to SCHEMA_VERSION. Runs once per page; later calls
+   * resolve with the same result. Never rejects — on failure the data is
+   * left as it was and tried again next time.
+   */
+  function migrate() {
+    if (!migration) migration = _migrate();
+    return migration;
+  }
+
+  async function _migrate() {
+    try {
+      const version = (await chrome.storage.local.get(VERSION_KEY))[VERSION_KEY] || 0;
+      for (const step of MIGRATIONS) {
+        if (step.version <= version) continue;
+        const { set: changes, remove: removed } = await step.run();
+        if (removed.length > 0) await chrome.storage.local.remove(removed);
+        await chrome.storage.local.set({ ...changes, [VERSION_KEY]: step.version });
+      }
+    } catch (err) {
+      console.warn('[ShadowTalk] Storage migration failed:', err);
+    }
+  }
+
+  /**
+   * Read a single key. Resolves to `fallback` if the key is missing or
+   * storage is unavailable (e.g. the extension was reloaded under the page).
+   */
+  async function get(key, fallback = null) {
+    try {
+      const data = await chrome.storage.local.get(key);
+      return data[key] !== undefined ? data[key] : fallback;
+    } catch (err) {
+      console.warn('[ShadowTalk] Storage read failed:', key, err);
+      return fallback;
+    }
+  }
+
+  /**
+   * Write a single key.
+   */
+  function set(key, value) {
+    return chrome.storage.local.set({ [key]: value });
+  }
+
+  /**
+   * Delete one key or an array of keys.
+   */
+  function remove(key) {
+    return chrome.storage.local.remove(key);
+  }
+
+  /**
+   * Read user settings, filled in with defaults for anything not yet saved.
+   */
+  async function getSettings() {
+    const saved = await get(SETTINGS_KEY, {});
+    return { ...DEFAULT_SETTINGS, ...saved };
+  }
+
+  /**
+   * Merge `changes` into the saved settings. Resolves with the new settings.
+   */
+  async function saveSettings(changes) {
+    const settings = { ...(await getSettings()), ...changes };
+    await set(SETTINGS_KEY, settings);
+    return settings;
+  }
+
+  /**
+   * Build a per-video key: videoKey('subtitles', 'abc123') → 'subtitles:abc123'.
+   */
+  function videoKey(kind, videoId) {
+    return `${kind}:${videoId}`;
+  }
+
+  return { get, set, remove, getSettings, saveSettings, videoKey, migrate, SCHEMA_VERSION };
+})();
@@ -0,0 +1,276 @@
+/**
+ * subtitles.js — Parse local subtitle files (SRT, WebVTT, ASS/SSA) into the
+ * same { text, start, duration } segments the caption track produces, so
+ * hand-corrected subtitles can replace a video's auto-captions.
+ *
+ * A video's file is remembered as its parsed segments under
+ * "subtitles:<videoId>" ({ name, segments, savedAt }), not as the raw file.
+ * "subtitles:index" lists the saved videos ({ videoId, bytes, usedAt });
+ * past MAX_SAVED_VIDEOS or MAX_SAVED_BYTES in total, the files used least
+ * recently are dropped.
+ */
+
+const ShadowSubtitles = (() => {
+  const EXTENSIONS = ['srt', 'vtt', 'ass', 'ssa'];
+  // Saved files across all videos (chrome.storage.local holds 10 MB in total).
+  const SAVED_INDEX_KEY = 'subtitles:index';
+  const MAX_SAVED_VIDEOS = 20;
+  const MAX_SAVED_BYTES = 1024 * 1024;
+
+  // Saves run one at a time so two can't overwrite each other's index.
+  let saving = Promise.resolve();
+
+  /**
+   * Whether a file name looks like a subtitle file we can parse.
+   */
+  function isSupported(fileName) {
+    return EXTENSIONS.includes(_extension(fileName));
+  }
+
+  /**
+   * Parse subtitle file contents. The format is taken from the file name's
+   * extension, falling back to sniffing the contents.
+   *
+   * Returns [{ text, start, duration }] sorted by start time; WebVTT cues
+   * with inline word timestamps also carry `words: [{ text, start }]`.
+   */
+  function parse(rawText, fileName = '') {
+    const text = (rawText || '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+    const format = detectFormat(text, fileName);
+
+    let segments;
+    if (format === 'vtt') segments = _parseVtt(text);
+    else if (format === 'ass') segments = _parseAss(text);
+    else segments = _parseSrt(text);
+
+    return segments
+      .filter((seg) => seg.text && seg.duration >= 0)
+      .sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * 'srt' | 'vtt' | 'ass'.
+   */
+  function detectFormat(text, fileName = '') {
+    const ext = _extension(fileName);
+    if (ext === 'vtt') return 'vtt';
+    if (ext === 'ass' || ext === 'ssa') return 'ass';
+    if (ext === 'srt') return 'srt';
+    if (/^WEBVTT/.test(text)) return 'vtt';
+    if (/^\[Script Info\]/m.test(text) || /^Dialogue:/m.test(text)) return 'ass';
+    return 'srt';
+  }
+
+  // ---- Saved files ----
+
+  /**
+   * Remember a video's subtitle file, { name, segments }, making room by
+   * dropping the files used least recently. A file too big to fit on its own
+   * isn't saved.
+   */
+  function save(videoId, file) {
+    const entry = { name: file.name, segments: file.segments, savedAt: Date.now() };
+    const task = saving.then(async () => {
+      const bytes = JSON.stringify(entry).length;
+      const index = (await ShadowStorage.get(SAVED_INDEX_KEY, [])).filter((i) => i.videoId !== videoId);
+      index.push({ videoId, bytes, usedAt: Date.now() });
+      index.sort((a, b) => b.usedAt - a.usedAt);
+
+      const keep = [];
+      const evicted = [];
+      let total = 0;
+      for (const item of index) {
+        if (keep.length < MAX_SAVED_VIDEOS && total + item.bytes <= MAX_SAVED_BYTES) {
+          keep.push(item);
+          total += item.bytes;
+        } else {
+          evicted.push(_savedKey(item.videoId));
+        }
+      }
+
+      if (evicted.length > 0) await ShadowStorage.remove(evicted);
+      if (keep.some((item) => item.videoId === videoId)) {
+        await ShadowStorage.set(_savedKey(videoId), entry);
+      }
+      await ShadowStorage.set(SAVED_INDEX_KEY, keep);
+    });
+    saving = task.catch(() => {});
+    return task;
+  }
+
+  /**
+   * A video's remembered file, { name, segments, savedAt }, or null.
+   */
+  async function load(videoId) {
+    const entry = await ShadowStorage.get(_savedKey(videoId));
+    if (!entry || !Array.isArray(entry.segments)) return null;
+
+    // Touch the entry so it counts as recently used.
+    saving = saving.then(async () => {
+      const index = await ShadowStorage.get(SAVED_INDEX_KEY, []);
+      const item = index.find((i) => i.videoId === videoId);
+      if (item) {
+        item.usedAt = Date.now();
+        await ShadowStorage.set(SAVED_INDEX_KEY, index);
+      }
+    }).catch(() => {});
+    return entry;
+  }
+
+  /**
+   * Forget a video's subtitle file.
+   */
+  function forget(videoId) {
+    const task = saving.then(async () => {
+      const index = await ShadowStorage.get(SAVED_INDEX_KEY, []);
+      await ShadowStorage.remove(_savedKey(videoId));
+      await ShadowStorage.set(SAVED_INDEX_KEY, index.filter((i) => i.videoId !== videoId));
+    });
+    saving = task.catch(() => {});
+    return task;
+  }
+
+  function _savedKey(videoId) {
+    return ShadowStorage.videoKey('subtitles', videoId);
+  }
+
+  // ---- Parsing ----
+
+  // "00:01:02,345" (SRT) / "01:02.345" or "00:01:02.345" (WebVTT)
+  const CUE_TIMING_RE =
+    /((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})\s*-->\s*((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})/;
+
+  /** SRT: numbered blocks of "start --> end" plus text lines. */
+  function _parseSrt(text) {
+    const segments = [];
+    for (const block of text.split(/\n{2,}/)) {
+      const lines = block.split('\n');
+      const timingIdx = lines.findIndex((l) => CUE_TIMING_RE.test(l));
+      if (timingIdx === -1) continue;
+
+      const [, startStr, endStr] = CUE_TIMING_RE.exec(lines[timingIdx]);
+      const start = _parseClock(startStr);
+      const end = _parseClock(endStr);
+      const cueText = _cleanMarkup(lines.slice(timingIdx + 1).join(' '));
+      if (!cueText) continue;
+      segments.push({ text: cueText, start, duration: Math.max(0, end - start) });
+    }
+    return segments;
+  }
+
+  /**
+   * WebVTT: like SRT, but with a header, optional cue ids, cue settings after
+   * the timing, NOTE/STYLE/REGION blocks, and <v>/<c> tags. Inline
+   * "<00:00:01.500>" timestamps give per-word start times.
+   */
+  function _parseVtt(text) {
+    const segments = [];
+    for (const block of text.split(/\n{2,}/)) {
+      if (/^(WEBVTT|NOTE|STYLE|REGION)\b/.test(block.trim())) continue;
+
+      const lines = block.split('\n');
+      const timingIdx = lines.findIndex((l) => CUE_TIMING_RE.test(l));
+      if (timingIdx === -1) continue;
+
+      const [, startStr, endStr] = CUE_TIMING_RE.exec(lines[timingIdx]);
+      const start = _parseClock(startStr);
+      const end = _parseClock(endStr);
+      const body = lines.slice(timingIdx + 1).join(' ');
+      const cueText = _cleanMarkup(body);
+      if (!cueText) continue;
+
+      const segment = { text: cueText, start, duration: Math.max(0, end - start) };
+      const words = _vttWordTimings(body, start);
+      if (words) segment.words = words;
+      segments.push(segment);
+    }
+    return segments;
+  }
+
+  /** Split a cue body on inline timestamps: "a <00:00:01.200>b" → timed pieces. */
+  function _vttWordTimings(body, cueStart) {
+    const parts = body.split(/<((?:\d+:)?\d{1,2}:\d{2}\.\d{1,3})>/);
+    if (parts.length < 3) return null;
+
+    const words = [];
+    for (let i = 0; i < parts.length; i += 2) {
+      const pieceText = _cleanMarkup(parts[i]);
+      const start = i === 0 ? cueStart : _parseClock(parts[i - 1]);
+      if (pieceText) words.push({ text: pieceText, start });
+    }
+    return words.length > 0 ? words : null;
+  }
+
+  /**
+   * ASS/SSA: "Dialogue:" lines in the [Events] section, columns named by its
+   * "Format:" line. Text is the last column and may itself contain commas.
+   */
+  function _parseAss(text) {
+    const segments = [];
+    let columns = ['layer', 'start', 'end', 'style', 'name', 'marginl', 'marginr', 'marginv', 'effect', 'text'];
+    let inEvents = false;
+
+    for (const line of text.split('\n')) {
+      const trimmed = line.trim();
+      if (/^\[.*\]$/.test(trimmed)) {
+        inEvents = trimmed.toLowerCase() === '[events]';
+        continue;
+      }
+      if (!inEvents) continue;
+
+      if (/^Format:/i.test(trimmed)) {
+        columns = trimmed.slice(7).split(',').map((c) => c.trim().toLowerCase());
+        continue;
+      }
+      if (!/^Dialogue:/i.test(trimmed)) continue;
+
+      const values = trimmed.slice(9).split(',');
+      const row = {};
+      columns.forEach((col, i) => {
+        row[col] = i === columns.length - 1
+          ? values.slice(i).join(',')
+          : (values[i] || '').trim();
+      });
+
+      const start = _parseClock(row.start || '');
+      const end = _parseClock(row.end || '');
+      const cueText = _cleanMarkup(
+        (row.text || '')
+          .replace(/\{[^}]*\}/g, '')         // override tags: {\i1}, {\pos(…)}
+          .replace(/\\[Nn]|\\h/g, ' ')       // hard/soft line breaks, hard space
+      );
+      if (!cueText) continue;
+      segments.push({ text: cueText, start, duration: Math.max(0, end - start) });
+    }
+    return segments;
+  }
+
+  /** Strip HTML-ish tags and entities, collapse whitespace. */
+  function _cleanMarkup(str) {
+    return str
+      .replace(/<[^>]*>/g, '')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&amp;/g, '&')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Parse "1:02:03,456", "02:03.456" or ASS "1:02:03.45" to seconds.
+   */
+  function _parseClock(str) {
+    const parts = str.trim().replace(',', '.').split(':');
+    let seconds = 0;
+    for (const part of parts) seconds = seconds * 60 + parseFloat(part || '0');
+    return seconds;
+  }
+
+  function _extension(fileName) {
+    const match = /\.([a-z0-9]+)$/i.exec(fileName || '');
+    return match ? match[1].toLowerCase() : '';
+  }
+
+  return { isSupported, parse, detectFormat, save, load, forget };
+})();
@@ -7,6 +7,24 @@
  */
 
 const ShadowTranscript = (() => {
+  // Bump whenever parsing or sentence merging changes, so cached transcripts
+  // built by the old rules are not reused.
+  const SEGMENTATION_VERSION = 4;
+
+  // Transcript cache bounds (chrome.storage.local holds 10 MB in total).
+  const CACHE_PREFIX = 'transcriptCache';
+  const CACHE_INDEX_KEY = 'transcriptCache:index';
+  const CACHE_MAX_ENTRIES = 30;
+  const CACHE_MAX_BYTES = 3 * 1024 * 1024;
+
+  // This tab's most recent cache hits/fills, so repeat starts skip storage too.
+  const memoryCache = new Map();
+  const MEMORY_CACHE_MAX_ENTRIES = 5;
+
+  // Longer than the bridge's slowest getTranscript: two timedtext fetches
+  // (5 s each), opening the transcript panel, then waiting up to 8 s for its
+  // segments and 8 s more after switching its track.
+  const BRIDGE_TIMEOUT_MS = 40000;
 
   /**
    * Send a request to the page-bridge and wait for response.
@@ -32,18 +50,54 @@ const ShadowTranscript = (() => {
         detail: { requestId, action, args },
       }));
 
-      // Timeout after 15s
       setTimeout(() => {
         window.removeEventListener('shadowtalk-response', handler);
         reject(new Error('Bridge request timed out.'));
-      }, 15000);
+      }, BRIDGE_TIMEOUT_MS);
     });
   }
 
+  /**
+   * List the current video's caption tracks:
+   * [{ id, languageCode, name, kind: 'manual' | 'asr', isAutoGenerated, isDefault }].
+   * Resolves to [] if the player response has no captions.
+   */
+  async function getTracks() {
+    const tracks = await bridgeRequest('getTracks');
+    return Array.isArray(tracks) ? tracks : [];
+  }
+
   /**
    * Main entry: get transcript for the current video.
+   *
+   * `preferredLang` is a track id from getTracks() or a language code; the
+   * bridge falls back to the video's default track when nothing matches.
+   *
+   * With `options.videoId`, results are cached per video, resolved track
+   * and segmentation version (see _cacheGet), so revisiting a video only asks
+   * the bridge which track `preferredLang` picks. `options.refresh` bypasses
+   * the cache.
    */
-  async function getTranscript(preferredLang) {
+  async function getTranscript(preferredLang, options = {}) {
+    let cacheKey = null;
+    if (options.videoId) {
+      // Key on the track the bridge will actually use: a language code and
+      // the track id it resolves to must share one entry.
+      const trackId = await bridgeRequest('resolveTrack', { preferredLang });
+      if (trackId) {
+        preferredLang = trackId;
+        cacheKey = [options.videoId, trackId, 'v' + SEGMENTATION_VERSION].join('|');
+      }
+    }
+
+    if (cacheKey && !options.refresh) {
+      const cached = await _cacheGet(cacheKey);
+      if (cached) {
+        console.log(`[ShadowTalk] Using cached transcript (${cached.sentences.length} sentences)`);
+        return _result(cached.sentences, cached.info);
+      }
+    }
+
     console.log('[ShadowTalk] Requesting transcript via page bridge...');
 
     const data = await bridgeRequest('getTranscript', { preferredLang });
@@ -52,13 +106,8 @@ const ShadowTranscript = (() => {
 
     let segments;
 
-    // If bridge returned pre-parsed segments (InnerTube API path)
-    if (data.segments && data.segments.length > 0) {
-      segments = data.segments;
-      console.log(`[ShadowTalk] Got ${segments.length} pre-parsed segments from InnerTube`);
-    }
-    // If bridge returned raw text (timedtext fallback path)
-    else if (data.rawText && data.rawText.trim().length > 0) {
+    // If bridge returned raw text (timedtext path)
+    if (data.rawText && data.rawText.trim().length > 0) {
       if (data.fmt === 'json3') {
         segments = _parseJson3(data.rawText);
       } else {
@@ -66,26 +115,129 @@ const ShadowTranscript = (() => {
       }
       console.log(`[ShadowTalk] Parsed ${segments.length} segments from rawText (fmt=${data.fmt})`);
     }
+    // If bridge returned pre-parsed segments (transcript panel path)
+    else if (data.segments && data.segments.length > 0) {
+      segments = data.segments;
+      console.log(`[ShadowTalk] Got ${segments.length} segments from the transcript panel`);
+    }
     else {
       throw new Error('Transcript response was empty.');
     }
 
-    const sentences = mergeIntoSentences(segments);
+    const result = fromSegments(segments, data);
+    if (cacheKey) {
+      _cachePut(cacheKey, { segments, sentences: result.sentences, info: _info(data) })
+        .catch((err) => console.warn('[ShadowTalk] Could not cache transcript:', err));
+    }
+    return result;
+  }
+
+  /**
+   * Build a transcript result from caption segments — the bridge's, or ones
+   * parsed from a local subtitle file. `info` carries the track fields
+   * ({ language, trackName, trackId, isAutoGenerated, allTracks }).
+   */
+  function fromSegments(segments, info = {}) {
+    const sentences = mergeIntoSentences(segments, { lang: info.language });
     console.log(`[ShadowTalk] Merged into ${sentences.length} sentences`);
 
     if (sentences.length === 0) {
       throw new Error('Transcript is empty — no sentences found.');
     }
 
+    return _result(sentences, _info(info));
+  }
+
+  /** The track fields worth keeping from a bridge response. */
+  function _info(data) {
     return {
-      sentences,
       language: data.language,
       trackName: data.trackName,
-      availableTracks: data.allTracks,
+      trackId: data.trackId || null,
+      isAutoGenerated: !!data.isAutoGenerated,
+      allTracks: data.allTracks || [],
+    };
+  }
+
+  function _result(sentences, info) {
+    return {
+      sentences,
+      language: info.language,
+      trackName: info.trackName,
+      trackId: info.trackId,
+      isAutoGenerated: info.isAutoGenerated,
+      availableTracks: info.allTracks,
     };
   }
 
-  /** Parse json3 format */
+  // ---- Transcript cache ----
+  //
+  // Entries live under "transcriptCache:<key>" as { segments, sentences, info }.
+  // "transcriptCache:index" lists [{ key, bytes, usedAt }] for LRU eviction:
+  // the least recently used entries go once either bound is exceeded.
+
+  async function _cacheGet(key) {
+    if (memoryCache.has(key)) {
+      const entry = memoryCache.get(key);
+      _remember(key, entry);
+      return entry;
+    }
+
+    const entry = await ShadowStorage.get(`${CACHE_PREFIX}:${key}`);
+    if (!entry || !Array.isArray(entry.sentences) || entry.sentences.length === 0) return null;
+    _remember(key, entry);
+
+    // Touch the entry so it counts as recently used.
+    const index = await ShadowStorage.get(CACHE_INDEX_KEY, []);
+    const item = index.find((i) => i.key === key);
+    if (item) {
+      item.usedAt = Date.now();
+      ShadowStorage.set(CACHE_INDEX_KEY, index).catch(() => {});
+    }
+    return entry;
+  }
+
+  async function _cachePut(key, entry) {
+    _remember(key, entry);
+
+    const bytes = JSON.stringify(entry).length;
+    if (bytes > CACHE_MAX_BYTES) return; // a single huge transcript isn't worth evicting everything
+
+    let index = (await ShadowStorage.get(CACHE_INDEX_KEY, [])).filter((i) => i.key !== key);
+    index.push({ key, bytes, usedAt: Date.now() });
+    index.sort((a, b) => b.usedAt - a.usedAt);
+
+    const keep = [];
+    const evicted = [];
+    let total = 0;
+    for (const item of index) {
+      if (keep.length < CACHE_MAX_ENTRIES && total + item.bytes <= CACHE_MAX_BYTES) {
+        keep.push(item);
+        total += item.bytes;
+      } else {
+        evicted.push(`${CACHE_PREFIX}:${item.key}`);
+      }
+    }
+
+    if (evicted.length > 0) await ShadowStorage.remove(evicted);
+    await ShadowStorage.set(`${CACHE_PREFIX}:${key}`, entry);
+    await ShadowStorage.set(CACHE_INDEX_KEY, keep);
+  }
+
+  /** Keep an entry in memoryCache as the most recent, dropping the oldest. */
+  function _remember(key, entry) {
+    memoryCache.delete(key);
+    memoryCache.set(key, entry);
+    while (memoryCache.size > MEMORY_CACHE_MAX_ENTRIES) {
+      memoryCache.delete(memoryCache.keys().next().value);
+    }
+  }
+
+  /**
+   * Parse json3 format. Auto-generated tracks split each event into one seg
+   * per word with a `tOffsetMs` from the event start; when present those
+   * offsets are kept as the segment's `words` so merging can use them.
+   */
   function _parseJson3(rawText) {
     const data = JSON.parse(rawText);
     const events = data.events || [];
@@ -94,11 +246,21 @@ const ShadowTranscript = (() => {
       if (!event.segs) continue;
       const text = event.segs.map((s) => s.utf8 || '').join('').trim();
       if (!text || text === '\n') continue;
-      segments.push({
+      const eventStart = event.tStartMs || 0;
+      const segment = {
         text,
-        start: (event.tStartMs || 0) / 1000,
+        start: eventStart / 1000,
         duration: (event.dDurationMs || 0) / 1000,
-      });
+      };
+      if (event.segs.some((s) => s.tOffsetMs !== undefined)) {
+        segment.words = event.segs
+          .map((s) => ({
+            text: (s.utf8 || '').trim(),
+            start: (eventStart + (s.tOffsetMs || 0)) / 1000,
+          }))
+          .filter((w) => w.text);
+      }
+      segments.push(segment);
     }
     return segments;
   }
@@ -113,11 +275,15 @@ const ShadowTranscript = (() => {
     while ((match = regex.exec(rawText)) !== null) {
       const text = _decode(match[3].replace(/<[^>]+>/g, '')).trim();
       if (!text) continue;
-      segments.push({
+      const start = parseInt(match[1], 10);
+      const segment = {
         text,
-        start: parseInt(match[1], 10) / 1000,
+        start: start / 1000,
         duration: parseInt(match[2], 10) / 1000,
-      });
+      };
+      const words = _parseSrv3Words(match[3], start);
+      if (words) segment.words = words;
+      segments.push(segment);
     }
 
     // Fallback: <text start="" dur=""> (srv1)
@@ -137,6 +303,28 @@ const ShadowTranscript = (() => {
     return segments;
   }
 
+  /**
+   * Auto-generated srv3 paragraphs hold one <s t="offsetMs"> per word (the
+   * first usually has no `t`, meaning offset 0). Returns [{ text, start }] or
+   * null when the paragraph carries no word offsets.
+   */
+  function _parseSrv3Words(inner, paragraphStartMs) {
+    if (!/<s\s[^>]*\bt="\d+"/.test(inner)) return null;
+    const words = [];
+    const regex = /<s\b([^>]*)>([\s\S]*?)<\/s>/g;
+    let match;
+    while ((match = regex.exec(inner)) !== null) {
+      const text = _decode(match[2].replace(/<[^>]+>/g, '')).trim();
+      if (!text) continue;
+      const offset = /\bt="(\d+)"/.exec(match[1]);
+      words.push({
+        text,
+        start: (paragraphStartMs + (offset ? parseInt(offset[1], 10) : 0)) / 1000,
+      });
+    }
+    return words.length > 0 ? words : null;
+  }
+
   function _decode(str) {
     return str
       .replace(/&#39;/g, "'")
@@ -147,36 +335,318 @@ const ShadowTranscript = (() => {
       .replace(/&#(\d+);/g, (_, n) => String.fromCharCode(parseInt(n, 10)));
   }
 
+  /**
+   * How words are delimited, per base language:
+   * - 'space': words separated by whitespace (most languages, incl. Korean)
+   * - 'char':  no spaces; split CJK runs into characters (Japanese, Chinese)
+   * - 'word':  no spaces; split on dictionary word breaks (Thai, Lao, Khmer, Burmese)
+   */
+  const SEGMENTATION_MODES = {
+    ja: 'char', zh: 'char', yue: 'char',
+    th: 'word', lo: 'word', km: 'word', my: 'word',
+  };
+
+  /**
+   * Chunking limits per mode, in tokens. A CJK sentence runs to dozens of
+   * characters, so the caps scale with how small a token is.
+   */
+  const SEGMENTATION_LIMITS = {
+    space: { maxWords: 15, hardCap: 40 },
+    char: { maxWords: 35, hardCap: 90 },
+    word: { maxWords: 20, hardCap: 50 },
+  };
+
+  // Sentence-ending punctuation, ASCII and full-width (。！？), optionally
+  // followed by closing quotes/brackets (incl. 」』）).
+  const SENTENCE_ENDER = /[.!?。！？｡．‼⁇⁈⁉]["'”’)\]」』）】》〉]*$/;
+
+  const CJK_RE = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]/u;
+  const CJK_RE_G = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]/gu;
+  const UNSPACED_RE_G = /[\p{Script=Thai}\p{Script=Lao}\p{Script=Khmer}\p{Script=Myanmar}]/gu;
+
+  /**
+   * Pick the segmentation mode from the language tag, or — when the tag is
+   * missing or names a spaced language — sniff the captions' script so a
+   * Japanese subtitle file or mislabelled track still segments sensibly.
+   */
+  function _segmentationMode(lang, segments) {
+    const base = (lang || '').toLowerCase().split('-')[0];
+    if (SEGMENTATION_MODES[base]) return SEGMENTATION_MODES[base];
+
+    const sample = segments.slice(0, 50).map((s) => s.text).join('');
+    const letters = (sample.match(/\p{L}/gu) || []).length;
+    if (letters === 0) return 'space';
+    if ((sample.match(CJK_RE_G) || []).length / letters > 0.3) return 'char';
+    if ((sample.match(UNSPACED_RE_G) || []).length / letters > 0.3) return 'word';
+    return 'space';
+  }
+
+  function _makeSegmenter(lang, granularity) {
+    if (typeof Intl === 'undefined' || !Intl.Segmenter) return null;
+    try {
+      return new Intl.Segmenter(lang || undefined, { granularity });
+    } catch (e) {
+      return new Intl.Segmenter(undefined, { granularity });
+    }
+  }
+
+  /** Split a string into user-perceived characters (graphemes). */
+  function _graphemes(text, graphemeSegmenter) {
+    if (!graphemeSegmenter) return Array.from(text);
+    return Array.from(graphemeSegmenter.segment(text), (s) => s.segment);
+  }
+
+  /**
+   * Split caption text into tokens: [{ word, sep, weight }]. `sep` is what
+   * joins the token to the next one ('' inside CJK/Thai runs) and `weight`
+   * is its length in graphemes, used to interpolate timings.
+   *
+   * In the unspaced modes, punctuation is glued to the preceding token (so
+   * "。" ends a sentence like "." does) and Latin words or numbers embedded
+   * in the text stay whole.
+   */
+  function _tokenize(text, mode, segmenters) {
+    if (mode === 'space') {
+      return text.trim().split(/\s+/).filter(Boolean)
+        .map((word) => ({ word, sep: ' ', weight: 1 }));
+    }
+
+    const tokens = [];
+    const parts = segmenters.word
+      ? Array.from(segmenters.word.segment(text), (s) => ({ text: s.segment, isWord: s.isWordLike }))
+      : Array.from(text, (ch) => ({ text: ch, isWord: /[\p{L}\p{N}]/u.test(ch) }));
+
+    for (const part of parts) {
+      const last = tokens[tokens.length - 1];
+      if (/^\s+$/.test(part.text)) {
+        if (last) last.sep = ' ';
+        continue;
+      }
+      const chars = _graphemes(part.text, segmenters.grapheme);
+      if (!part.isWord && last && last.sep === '') {
+        last.word += part.text;
+        last.weight += chars.length;
+        continue;
+      }
+      if (mode === 'char' && CJK_RE.test(part.text)) {
+        for (const ch of chars) tokens.push({ word: ch, sep: '', weight: 1 });
+      } else {
+        tokens.push({ word: part.text, sep: '', weight: chars.length });
+      }
+    }
+
+    return tokens;
+  }
+
+  /** Two adjacent Latin words or numbers inside CJK text keep a space. */
+  function _restoreLatinSpaces(words) {
+    for (let i = 0; i < words.length - 1; i++) {
+      if (/[\p{Script=Latin}\p{N}]$/u.test(words[i].word) &&
+          /^[\p{Script=Latin}\p{N}]/u.test(words[i + 1].word)) {
+        words[i].sep = ' ';
+      }
+    }
+  }
+
+  // Stand-in token for a speaker-change marker (">>", a leading "- ", or a
+  // "NAME:" label). It survives tokenization as its own token and is turned
+  // into sentence metadata while flattening — it never becomes a word.
+  const SPEAKER_MARK = '\u2063';
+
+  // All-caps words and acronyms that open a line with a colon without naming
+  // anyone ("NOTE: ...", "USA: ...").
+  const NOT_SPEAKERS = new Set([
+    'OK', 'OKAY', 'NOTE', 'NB', 'PS', 'FYI', 'BTW', 'TIP', 'HINT', 'WARNING',
+    'UPDATE', 'EDIT', 'IMPORTANT', 'REMEMBER', 'EXAMPLE', 'QUESTION', 'ANSWER',
+    'SPOILER', 'SOURCE', 'BREAKING', 'LIVE', 'NEW', 'FAQ', 'DIY', 'TLDR', 'RIP',
+    'USA', 'US', 'UK', 'EU', 'UN', 'NASA', 'NATO', 'FBI', 'CIA', 'NHS', 'WHO',
+    'BBC', 'CNN', 'NBC', 'CBS', 'ABC', 'NPR', 'AI', 'TV', 'PC', 'CEO', 'NYC', 'LA',
+  ]);
+
+  // A speaker turn: ">>" or a dash (at the start or after a sentence), each
+  // optionally followed by a "NAME:" label, or a bare label at the start or
+  // after a sentence. Not after "MR." and the like: "MR. SMITH:" is one label.
+  const SPEAKER_LABEL = (name) => String.raw`(?<${name}>[A-Z][A-Z0-9'.-]+(?: [A-Z][A-Z0-9'.-]+)?):\s+`;
+  const SENTENCE_END = String.raw`(?<![A-Z])[.!?。！？]`;
+  const SPEAKER_TURN = new RegExp(
+    String.raw`(?<lead>^|\s)(?:>>+|&gt;&gt;)\s*(?:${SPEAKER_LABEL('afterArrows')})?` +
+    String.raw`|^\s*[-–—]\s+(?:${SPEAKER_LABEL('afterDash')})?` +
+    String.raw`|(?<ender>${SENTENCE_END})\s+[-–—]\s+(?:${SPEAKER_LABEL('afterEnderDash')})?` +
+    String.raw`|(?<bareEnder>${SENTENCE_END})\s+${SPEAKER_LABEL('afterEnder')}` +
+    String.raw`|^\s*${SPEAKER_LABEL('atStart')}`,
+    'g'
+  );
+
+  // Parenthetical sound cues: "(laughs)", "(audience applauding)".
+  const SOUND_CUE = new RegExp(
+    String.raw`\b(?:laugh\w*|chuckl\w*|giggl\w*|applau\w*|clap\w*|cheer\w*|music|sigh(?:s|ing)?|` +
+    String.raw`inaudible|indistinct|crosstalk|cough\w*|gasp\w*|groan\w*|sniff\w*|scream\w*|` +
+    String.raw`sob(?:s|bing)?|cries|crying|silence|whisper\w*|mumbl\w*|grunt\w*|beep\w*|` +
+    String.raw`rings?|ringing|knock\w*|bark(?:s|ing)?|footsteps|static|noise)\b`,
+    'i'
+  );
+
+  /**
+   * Caption-cleaning stage: strip non-speech annotations and replace
+   * speaker-turn markers with SPEAKER_MARK tokens.
+   * - "[Music]", "[Applause]", "［音楽］", "【拍手】"
+   * - short parentheticals that are sound cues: "(laughs)", "(APPLAUSE)",
+   *   "(DOOR SLAMS)", "(<i>door opens</i>)", "（笑）" — other parentheses
+   *   ("f(x)", "I (really) think", "(WHO)") are speech and are kept
+   * - "♪ lyrics ♪", and a whole line that opens with ♪ and never closes
+   * - speaker markers: ">>", "- " at a line/sentence start, and a "JOHN:" /
+   *   "MR. SMITH:" label after either marker, at the start, or after a
+   *   sentence. A label needs two capitals in a row and mustn't be a word
+   *   like "NOTE" or an acronym like "USA".
+   *
+   * Returns { text, speakers } — one entry per SPEAKER_MARK, holding the
+   * speaker's name or null.
+   */
+  function cleanCaption(text) {
+    const speakers = [];
+    const mark = (name) => {
+      speakers.push(name || null);
+      return ` ${SPEAKER_MARK} `;
+    };
+
+    let out = (text || '')
+      .replace(/\[[^\]]*\]/g, ' ')
+      .replace(/\(([^()]{0,40})\)/g, (m, inner) => (_isSoundCue(inner) ? ' ' : m))
+      // Full-width brackets sit inside unspaced CJK text: remove without a gap.
+      .replace(/［[^］]*］|【[^】]*】|（[^（）]{0,20}）/g, '')
+      .replace(/[♪♫♬][^♪♫♬]*[♪♫♬]/g, ' ');
+
+    if (/^\s*[♪♫♬]/.test(out)) out = '';
+    out = out.replace(/[♪♫♬]/g, ' ');
+
+    // One pass, so names land in `speakers` in caption order.
+    out = out.replace(SPEAKER_TURN, (...args) => {
+      const m = args[0];
+      const g = args[args.length - 1];
+      const bare = g.afterEnder || g.atStart;
+      const label = g.afterArrows || g.afterDash || g.afterEnderDash || bare;
+      const name = _speakerName(label);
+      // A bare label that isn't a name is just words of the caption.
+      if (bare && !name) return m;
+      return (g.lead || '') + (g.ender || g.bareEnder || '') + mark(name) + (label && !name ? label + ': ' : '');
+    });
+
+    return { text: out.replace(/\s+/g, ' ').trim(), speakers };
+  }
+
+  /** A "NAME:" label's speaker name, or null if it isn't one. */
+  function _speakerName(label) {
+    if (!label) return null;
+    const name = label.replace(/\.$/, '');
+    return /[A-Z]{2}/.test(name) && !NOT_SPEAKERS.has(name) ? name : null;
+  }
+
+  /**
+   * Whether a parenthetical's text is a sound annotation rather than speech:
+   * a short cue ("laughs", "audience applauding"), several words in all caps
+   * ("DOOR SLAMS" — a single one is more likely an acronym), or italics.
+   */
+  function _isSoundCue(inner) {
+    const text = inner.trim();
+    if (/^<i>.*<\/i>$/is.test(text)) return true;
+    const words = text.split(/\s+/);
+    if (words.length > 4) return false;
+    return SOUND_CUE.test(text) ||
+      (words.length > 1 && /\p{Lu}/u.test(text) && text === text.toUpperCase());
+  }
+
+  /**
+   * Join timed words ({ word, sep }) back into display text.
+   */
+  function joinWords(words) {
+    return words
+      .map((w, i) => w.word + (i < words.length - 1 ? (w.sep ?? ' ') : ''))
+      .join('')
+      .trim();
+  }
+
   /**
    * Merge raw caption segments into sentences.
    *
    * Captions rarely line up with sentences — a single segment can hold the end
    * of one sentence and the start of the next ("...stand mixer. Then,"). So we
-   * flatten everything into timed words (each word gets a timestamp
-   * interpolated across its segment's span) and then break on sentence-ending
+   * flatten everything into timed words and then break on sentence-ending
    * punctuation wherever it occurs — mid-segment included.
+   *
+   * A segment may carry `words: [{ text, start }]` with real per-word start
+   * times (json3/srv3 auto-captions); those are used as-is. Otherwise each
+   * word gets a timestamp interpolated across its segment's span.
+   *
+   * Japanese/Chinese and Thai-family captions have no spaces, so `options.lang`
+   * (or the captions' script, see _segmentationMode) switches tokenization to
+   * characters or Intl.Segmenter word breaks. There, interpolation is weighted
+   * by grapheme count rather than token index.
+   *
+   * Caption text first goes through cleanCaption(): annotations such as
+   * "[Music]" are dropped (so music-only captions yield no sentence) and
+   * speaker-turn markers become sentence metadata that also forces a break.
+   *
+   * Each sentence keeps its timed words:
+   * { text, startTime, endTime, speechEnd, words: [{ word, time, sep }],
+   *   speakerChange?: true, speaker?: 'NAME' }. endTime runs to the next
+   * sentence; speechEnd is where its last word's caption ends, before any
+   * gap.
    */
-  function mergeIntoSentences(segments) {
+  function mergeIntoSentences(segments, options = {}) {
     if (segments.length === 0) return [];
 
+    const mode = _segmentationMode(options.lang, segments);
+    const segmenters = mode === 'space' ? {} : {
+      word: _makeSegmenter(options.lang, 'word'),
+      grapheme: _makeSegmenter(options.lang, 'grapheme'),
+    };
+
     // 1) Flatten segments into a stream of timed words.
     const words = [];
+    let pendingSpeaker; // set by a SPEAKER_MARK, applied to the next word
     for (const seg of segments) {
-      const segWords = seg.text.trim().split(/\s+/).filter(Boolean);
-      if (segWords.length === 0) continue;
-      const span = Math.max(0, seg.duration || 0);
-      for (let j = 0; j < segWords.length; j++) {
-        // Spread words evenly across the segment's time span.
-        const t = seg.start + (span * j) / segWords.length;
-        words.push({ word: segWords[j], time: t });
+      const segEnd = seg.start + Math.max(0, seg.duration || 0);
+      const pieces = seg.words && seg.words.length > 0
+        ? seg.words
+        : [{ text: seg.text, start: seg.start }];
+
+      for (let k = 0; k < pieces.length; k++) {
+        const piece = pieces[k];
+        const cleaned = cleanCaption(piece.text);
+        const tokens = _tokenize(cleaned.text, mode, segmenters);
+        if (tokens.length === 0) continue;
+        const pieceEnd = k < pieces.length - 1 ? pieces[k + 1].start : segEnd;
+        const span = Math.max(0, pieceEnd - piece.start);
+        const total = tokens.reduce((sum, tok) => sum + tok.weight, 0);
+        let offset = 0;
+        for (const tok of tokens) {
+          // A timed word is one piece; a multi-word piece (or an untimed
+          // segment) spreads its words across its time span.
+          const t = piece.start + (span * offset) / total;
+          offset += tok.weight;
+          const end = piece.start + (span * offset) / total;
+          if (tok.word === SPEAKER_MARK) {
+            pendingSpeaker = cleaned.speakers.shift() || null;
+            continue;
+          }
+          const word = { word: tok.word, time: t, end, sep: tok.sep };
+          if (pendingSpeaker !== undefined) {
+            word.speakerChange = true;
+            if (pendingSpeaker) word.speaker = pendingSpeaker;
+            pendingSpeaker = undefined;
+          }
+          words.push(word);
+        }
       }
+      // A Thai caption line break is a phrase break; CJK lines just continue.
+      if (mode === 'word' && words.length > 0) words[words.length - 1].sep = ' ';
     }
     if (words.length === 0) return [];
+    if (mode !== 'space') _restoreLatinSpaces(words);
 
-    const sentenceEnder = /[.!?]["')\]]?$/;
+    const sentenceEnder = SENTENCE_ENDER;
     const GAP_THRESHOLD = 0.8;
-    const MAX_WORDS = 15;      // chunk size for unpunctuated transcripts
-    const HARD_CAP = 40;       // safety cap so a missed period can't run away
+    const { maxWords: MAX_WORDS, hardCap: HARD_CAP } = SEGMENTATION_LIMITS[mode];
 
     // Decide whether this transcript is genuinely punctuated by RATIO, not by
     // "any". Auto-generated transcripts have ~0% sentence-enders; a stray period
@@ -191,13 +661,27 @@ const ShadowTranscript = (() => {
 
     const flush = (endTime) => {
       if (buf.length === 0) return;
-      const text = buf.map((w) => w.word).join(' ').trim();
-      if (text) sentences.push({ text, startTime: bufStart, endTime });
+      const text = joinWords(buf);
+      // Skip leftovers with nothing to say ("-", "...", a stray bracket).
+      if (/[\p{L}\p{N}]/u.test(text)) {
+        const sentence = {
+          text,
+          startTime: bufStart,
+          endTime,
+          speechEnd: Math.min(endTime, buf[buf.length - 1].end),
+          words: buf.map((w) => ({ word: w.word, time: w.time, sep: w.sep })),
+        };
+        if (buf[0].speakerChange) sentence.speakerChange = true;
+        if (buf[0].speaker) sentence.speaker = buf[0].speaker;
+        sentences.push(sentence);
+      }
       buf = [];
     };
 
     for (let i = 0; i < words.length; i++) {
       const w = words[i];
+      // A new speaker always starts a new sentence.
+      if (w.speakerChange && buf.length > 0) flush(w.time);
       if (buf.length === 0) bufStart = w.time;
       buf.push(w);
 
@@ -220,5 +704,5 @@ const ShadowTranscript = (() => {
     return sentences;
   }
 
-  return { getTranscript, mergeIntoSentences };
+  return { getTracks, getTranscript, fromSegments, mergeIntoSentences, cleanCaption, joinWords };
 })();
@@ -101,19 +101,69 @@ const ShadowUI = (() => {
 
   /**
    * Render the start screen (before shadowing begins).
+   *
+   * Callbacks:
+   * - onStart(lang, trackId): speech language and chosen caption track id
+   *   (null = let the bridge pick the video's default track)
+   * - onSubtitleFile(file): use a dropped/picked subtitle file; may return a
+   *   Promise — a rejection's message is shown under the drop zone
+   * - onClearSubtitle(): go back to the video's own captions
+   * - onSettings(): open the settings screen
+   * - onResume(): pick up the unfinished session in `state.resume`
+   * - onClearHistory(): forget this video's practice history
+   * - onReview(): review the deck's due cards
+   *
+   * `state.subtitle` ({ name }) is the subtitle file remembered for this
+   * video; while one is set the caption track selector is not shown. The
+   * track list loads asynchronously — call setTracks() once it arrives.
+   * `state.resume` ({ index, total }, see ShadowHistory) offers to resume
+   * at sentence index + 1; `state.reviewDue` (a count) offers a review of
+   * that many due cards.
    */
-  function renderStart(onStart) {
+  function renderStart(callbacks, state = {}) {
+    const subtitle = state.subtitle;
+    const resume = state.resume;
     show();
     overlay.innerHTML = `
       <div class="st-header">
         <span class="st-header-title">Shadow Talk</span>
-        <button class="st-close-btn" data-action="close">&times;</button>
+        <span class="st-header-actions">
+          <button class="st-close-btn st-edit-btn" data-action="settings" title="Settings">&#9881;</button>
+          <button class="st-close-btn" data-action="close">&times;</button>
+        </span>
       </div>
       <div class="st-body">
         <div class="st-start">
           <div class="st-start-text">
             Practice speaking by shadowing this video sentence by sentence.
           </div>
+          ${resume ? `
+          <div class="st-resume">
+            <button class="st-btn st-btn-primary" data-action="resume">
+              Resume at sentence ${resume.index + 1} of ${resume.total}
+            </button>
+            <button class="st-link-btn" data-action="clear-history">Forget progress</button>
+          </div>` : ''}
+          ${subtitle ? `
+          <div class="st-subtitle-file">
+            <span class="st-sentence-label">Subtitles from file</span>
+            <div class="st-subtitle-name">
+              <span>${_escapeHtml(subtitle.name)}</span>
+              <button class="st-link-btn" data-action="clear-subtitle">Remove</button>
+            </div>
+          </div>` : `
+          <div style="margin-bottom: 12px;">
+            <label class="st-sentence-label" for="st-track-select">Captions</label>
+            <select id="st-track-select" class="st-select" disabled>
+              <option value="">Detecting caption tracks...</option>
+            </select>
+          </div>
+          <div class="st-dropzone" data-action="dropzone">
+            Drop an .srt, .vtt or .ass file here, or
+            <button class="st-link-btn" data-action="pick-subtitle">choose a file</button>
+            <input type="file" accept=".srt,.vtt,.ass,.ssa" class="st-hidden" data-action="subtitle-input">
+          </div>
+          <div class="st-dropzone-error st-hidden"></div>`}
           <div style="margin-bottom: 12px;">
             <label class="st-sentence-label" for="st-lang-select">Language</label>
             <select id="st-lang-select" class="st-select">
@@ -142,15 +192,257 @@ const ShadowUI = (() => {
           <button class="st-btn st-btn-primary" data-action="start" style="width: 100%;">
             Start Shadowing
           </button>
+          ${state.reviewDue > 0 ? `
+          <button class="st-btn st-btn-secondary st-review-btn" data-action="review">
+            Review due (${state.reviewDue})
+          </button>` : ''}
         </div>
       </div>
     `;
 
+    const trackSelect = overlay.querySelector('#st-track-select');
+    if (trackSelect) trackSelect.onchange = () => _syncLangToTrack(trackSelect);
+
     overlay.querySelector('[data-action="start"]').onclick = () => {
       const lang = overlay.querySelector('#st-lang-select').value;
-      onStart(lang);
+      callbacks.onStart(lang, (trackSelect && trackSelect.value) || null);
     };
     overlay.querySelector('[data-action="close"]').onclick = () => hide();
+    overlay.querySelector('[data-action="settings"]').onclick = callbacks.onSettings;
+
+    if (state.reviewDue > 0) {
+      overlay.querySelector('[data-action="review"]').onclick = callbacks.onReview;
+    }
+    if (resume) {
+      overlay.querySelector('[data-action="resume"]').onclick = callbacks.onResume;
+      overlay.querySelector('[data-action="clear-history"]').onclick = callbacks.onClearHistory;
+    }
+
+    if (subtitle) {
+      overlay.querySelector('[data-action="clear-subtitle"]').onclick = callbacks.onClearSubtitle;
+    } else {
+      _wireDropzone(callbacks.onSubtitleFile);
+    }
+  }
+
+  /**
+   * Accept a subtitle file dropped on the start screen's drop zone or
+   * picked through its hidden file input.
+   */
+  function _wireDropzone(onFile) {
+    const zone = overlay.querySelector('[data-action="dropzone"]');
+    const input = overlay.querySelector('[data-action="subtitle-input"]');
+    const errorEl = overlay.querySelector('.st-dropzone-error');
+
+    const useFile = (file) => {
+      if (!file) return;
+      errorEl.classList.add('st-hidden');
+      Promise.resolve(onFile(file)).catch((err) => {
+        errorEl.textContent = err.message;
+        errorEl.classList.remove('st-hidden');
+      });
+    };
+
+    overlay.querySelector('[data-action="pick-subtitle"]').onclick = () => input.click();
+    input.onchange = () => useFile(input.files[0]);
+
+    zone.addEventListener('dragover', (e) => {
+      e.preventDefault();
+      zone.classList.add('st-dropzone-active');
+    });
+    zone.addEventListener('dragleave', () => zone.classList.remove('st-dropzone-active'));
+    zone.addEventListener('drop', (e) => {
+      e.preventDefault();
+      zone.classList.remove('st-dropzone-active');
+      useFile(e.dataTransfer.files[0]);
+    });
+  }
+
+  /**
+   * Fill the start screen's caption track selector. Each track carries a
+   * `speechLang` (recognizer locale) so picking a track also picks the
+   * matching speech language. No-op if the start screen isn't showing.
+   */
+  function setTracks(tracks) {
+    const select = overlay && overlay.querySelector('#st-track-select');
+    if (!select) return;
+
+    if (!tracks || tracks.length === 0) {
+      select.innerHTML = '<option value="">Video default</option>';
+      select.disabled = true;
+      return;
+    }
+
+    const preferred =
+      tracks.find((t) => t.isDefault) ||
+      tracks.find((t) => !t.isAutoGenerated) ||
+      tracks[0];
+
+    select.innerHTML = tracks
+      .map((t) => {
+        const label = t.isAutoGenerated && !/auto/i.test(t.name)
+          ? `${t.name} (auto-generated)`
+          : t.name;
+        return `<option value="${_escapeHtml(t.id)}" data-lang="${_escapeHtml(t.speechLang || '')}"` +
+          `${t === preferred ? ' selected' : ''}>${_escapeHtml(label)}</option>`;
+      })
+      .join('');
+    select.disabled = false;
+    _syncLangToTrack(select);
+  }
+
+  /** Select the speech language matching the chosen track, if we offer it. */
+  function _syncLangToTrack(trackSelect) {
+    const option = trackSelect.selectedOptions[0];
+    const lang = option && option.dataset.lang;
+    const langSelect = overlay.querySelector('#st-lang-select');
+    if (!lang || !langSelect) return;
+    if (Array.from(langSelect.options).some((o) => o.value === lang)) {
+      langSelect.value = lang;
+    }
+  }
+
+  /**
+   * Render the settings screen. Each change calls `callbacks.onChange(changes)`,
+   * which may return a Promise — a rejection's message is shown and the
+   * change is not kept. `callbacks.onImportEquivalences(file)` resolves with
+   * the updated equivalence list, `callbacks.onExportEquivalences()` saves it
+   * to a file, and `callbacks.onBack()` returns to the start screen.
+   */
+  function renderSettings(settings, callbacks) {
+    show();
+    overlay.innerHTML = `
+      <div class="st-header">
+        <span class="st-header-title">Settings</span>
+        <button class="st-close-btn" data-action="back">&times;</button>
+      </div>
+      <div class="st-body">
+        <div class="st-settings-section">
+          <label class="st-sentence-label" for="st-recognizer-select">Speech recognition</label>
+          <select id="st-recognizer-select" class="st-select">
+            <option value="webspeech" ${settings.recognizer === 'webspeech' ? 'selected' : ''}>Browser (Web Speech API)</option>
+            <option value="local" ${settings.recognizer === 'local' ? 'selected' : ''}>Local server</option>
+          </select>
+          <div class="st-settings-local ${settings.recognizer === 'local' ? '' : 'st-hidden'}">
+            <label class="st-sentence-label" for="st-endpoint-input">Server address</label>
+            <input id="st-endpoint-input" class="st-select" type="url"
+              value="${_escapeHtml(settings.localEndpoint)}" placeholder="http://localhost:8080/inference">
+            <div class="st-settings-hint">
+              Your attempts are sent only to this address on your computer,
+              e.g. a whisper.cpp or Vosk server.
+            </div>
+          </div>
+        </div>
+        <div class="st-settings-section">
+          <label class="st-sentence-label" for="st-profile-select">Scoring</label>
+          <select id="st-profile-select" class="st-select">
+            ${Object.entries(ShadowScoring.PROFILES).map(([key, profile]) => `
+            <option value="${key}" ${settings.scoringProfile === key ? 'selected' : ''}>${profile.label}</option>`).join('')}
+          </select>
+          <div class="st-settings-hint">
+            Beginner forgives small slips and weighs little words like "the" less;
+            Exam gives only partial credit for near misses and costs points for
+            every added word, "um" included.
+          </div>
+        </div>
+        <div class="st-settings-section">
+          <span class="st-sentence-label">Also accept</span>
+          <div class="st-equivalence-list"></div>
+          <div class="st-settings-row">
+            <select class="st-select st-equivalence-lang" title="Language">
+              ${EQUIVALENCE_LANGUAGES.map(([code, name]) => `<option value="${code}">${name}</option>`).join('')}
+            </select>
+            <input class="st-select st-equivalence-word" type="text" placeholder="colour">
+            <span>=</span>
+            <input class="st-select st-equivalence-word" type="text" placeholder="color">
+            <button class="st-btn st-btn-secondary st-btn-small" data-action="add-equivalence">Add</button>
+          </div>
+          <div class="st-settings-hint">
+            Words or phrases that count as the same when scoring, either way round —
+            spellings, slang or the jargon of your field.
+          </div>
+          <div class="st-settings-row">
+            <button class="st-btn st-btn-secondary st-btn-small" data-action="import-equivalences">Import…</button>
+            <button class="st-btn st-btn-secondary st-btn-small" data-action="export-equivalences">Export</button>
+            <input type="file" accept=".json,application/json" class="st-hidden" data-action="equivalence-file">
+          </div>
+        </div>
+        <div class="st-settings-section">
+          <span class="st-sentence-label">When to stop listening</span>
+          <div class="st-settings-row">
+            <label for="st-silence-min">Pause after a short sentence</label>
+            <input id="st-silence-min" class="st-select st-number" type="number" min="0.3" max="8" step="0.1"
+              value="${settings.silenceMin / 1000}" data-setting="silenceMin"> s
+          </div>
+          <div class="st-settings-row">
+            <label for="st-silence-max">Pause after a long sentence</label>
+            <input id="st-silence-max" class="st-select st-number" type="number" min="0.3" max="8" step="0.1"
+              value="${settings.silenceMax / 1000}" data-setting="silenceMax"> s
+          </div>
+          <div class="st-settings-row">
+            <label for="st-no-speech">Wait for you to start</label>
+            <input id="st-no-speech" class="st-select st-number" type="number" min="2" max="30" step="1"
+              value="${settings.noSpeechTimeout / 1000}" data-setting="noSpeechTimeout"> s
+          </div>
+        </div>
+        <div class="st-settings-section">
+          <span class="st-sentence-label">Recordings</span>
+          <label class="st-auto-toggle">
+            <input type="checkbox" data-action="toggle-keep-recordings" ${settings.keepRecordings ? 'checked' : ''}>
+            <span>Keep my recordings on this device</span>
+          </label>
+        </div>
+        <div class="st-settings-status"></div>
+        <button class="st-btn st-btn-primary" data-action="done" style="width: 100%;">Done</button>
+      </div>
+    `;
+
+    // Settings as last saved from this screen, for reverting rejected changes.
+    const current = { ...settings };
+    const status = overlay.querySelector('.st-settings-status');
+    const change = (changes, revert, saved) => {
+      status.textContent = '';
+      status.classList.remove('st-settings-error');
+      Promise.resolve(callbacks.onChange(changes))
+        .then(() => {
+          Object.assign(current, changes);
+          status.textContent = 'Saved';
+          if (saved) saved();
+        })
+        .catch((err) => {
+          status.textContent = err.message;
+          status.classList.add('st-settings-error');
+          if (revert) revert();
+        });
+    };
+
+    const profile = overlay.querySelector('#st-profile-select');
+    profile.onchange = () => change({ scoringProfile: profile.value });
+
+    const recognizer = overlay.querySelector('#st-recognizer-select');
+    const endpoint = overlay.querySelector('#st-endpoint-input');
+    recognizer.onchange = () => {
+      overlay.querySelector('.st-settings-local').classList.toggle('st-hidden', recognizer.value !== 'local');
+      change({ recognizer: recognizer.value });
+    };
+    endpoint.onchange = () => {
+      change({ localEndpoint: endpoint.value.trim() }, () => { endpoint.value = current.localEndpoint; });
+    };
+    overlay.querySelectorAll('[data-setting]').forEach((input) => {
+      const key = input.dataset.setting;
+      input.onchange = () => {
+        change({ [key]: Math.round(Number(input.value) * 1000) }, () => {
+          input.value = current[key] / 1000;
+        });
+      };
+    });
+    const keep = overlay.querySelector('[data-action="toggle-keep-recordings"]');
+    keep.onchange = () => change({ keepRecordings: keep.checked });
+
+    _wireEquivalences(current, change, callbacks, status);
+
+    overlay.querySelector('[data-action="back"]').onclick = callbacks.onBack;
+    overlay.querySelector('[data-action="done"]').onclick = callbacks.onBack;
   }
 
   /**
@@ -201,8 +493,9 @@ const ShadowUI = (() => {
 
   /**
    * Render the "playing" state — video is playing, waiting for sentence end.
+   * `speed` ({ rate, onChange(rate) }) adds a playback speed selector.
    */
-  function renderPlaying(sentence, sentenceIndex, totalSentences, onStop) {
+  function renderPlaying(sentence, sentenceIndex, totalSentences, onStop, speed) {
     show();
     overlay.innerHTML = `
       <div class="st-header">
@@ -217,13 +510,15 @@ const ShadowUI = (() => {
           Listening to sentence...
         </div>
         <div class="st-sentence">
-          <div class="st-sentence-label">Upcoming</div>
+          <div class="st-sentence-label">${_sentenceLabel('Upcoming', sentence)}</div>
           <div class="st-sentence-text">${_escapeHtml(sentence.text)}</div>
         </div>
+        ${speed ? _renderSpeedSelect(speed.rate) : ''}
       </div>
     `;
 
     overlay.querySelector('[data-action="stop"]').onclick = onStop;
+    if (speed) _wireSpeedSelect(speed.onChange);
   }
 
   /**
@@ -235,12 +530,12 @@ const ShadowUI = (() => {
       <div class="st-header">
         <span class="st-header-title">Shadow Talk</span>
         <span class="st-header-info">${sentenceIndex + 1} / ${totalSentences}</span>
-        <button class="st-close-btn" data-action="stop">&times;</button>
+        ${_renderHeaderActions(!!callbacks.onEdit)}
       </div>
       <div class="st-body">
         ${_renderProgress(sentenceIndex, totalSentences)}
         <div class="st-sentence">
-          <div class="st-sentence-label">Repeat this sentence</div>
+          <div class="st-sentence-label">${_sentenceLabel('Repeat this sentence', sentence)}</div>
           <div class="st-sentence-text">${_escapeHtml(sentence.text)}</div>
         </div>
         <div class="st-mic">
@@ -260,11 +555,75 @@ const ShadowUI = (() => {
     `;
 
     overlay.querySelector('[data-action="stop"]').onclick = callbacks.onStop;
+    if (callbacks.onEdit) overlay.querySelector('[data-action="edit"]').onclick = callbacks.onEdit;
     overlay.querySelector('[data-action="done"]').onclick = callbacks.onDone;
     overlay.querySelector('[data-action="replay"]').onclick = callbacks.onReplay;
     overlay.querySelector('[data-action="skip"]').onclick = callbacks.onSkip;
   }
 
+  /**
+   * Language choices for a user equivalence ('' = every language).
+   */
+  const EQUIVALENCE_LANGUAGES = [
+    ['', 'All'], ['en', 'English'], ['es', 'Spanish'], ['fr', 'French'], ['de', 'German'],
+    ['it', 'Italian'], ['pt', 'Portuguese'], ['nl', 'Dutch'], ['ru', 'Russian'],
+    ['ja', 'Japanese'], ['ko', 'Korean'], ['zh', 'Chinese'], ['ar', 'Arabic'],
+    ['hi', 'Hindi'], ['tr', 'Turkish'], ['pl', 'Polish'], ['sv', 'Swedish'],
+  ];
+
+  /**
+   * List, add, remove, import and export the learner's equivalences on the
+   * settings screen. `current` is the screen's copy of the saved settings.
+   */
+  function _wireEquivalences(current, change, callbacks, status) {
+    const list = overlay.querySelector('.st-equivalence-list');
+    const render = () => {
+      list.innerHTML = current.equivalences.map((e, i) => `
+        <div class="st-equivalence">
+          <span class="st-equivalence-tag">${e.lang || 'All'}</span>
+          <span class="st-equivalence-words">${e.words.map(_escapeHtml).join(' = ')}</span>
+          <button class="st-close-btn" data-remove="${i}" title="Remove">&times;</button>
+        </div>`).join('');
+      list.querySelectorAll('[data-remove]').forEach((btn) => {
+        btn.onclick = () => {
+          const index = Number(btn.dataset.remove);
+          change({ equivalences: current.equivalences.filter((_, i) => i !== index) }, null, render);
+        };
+      });
+    };
+    render();
+
+    const inputs = overlay.querySelectorAll('.st-equivalence-word');
+    overlay.querySelector('[data-action="add-equivalence"]').onclick = () => {
+      const words = Array.from(inputs, (input) => input.value.trim());
+      if (words.some((w) => !w)) return;
+      const lang = overlay.querySelector('.st-equivalence-lang').value;
+      change({ equivalences: [...current.equivalences, { lang, words }] }, null, () => {
+        inputs.forEach((input) => { input.value = ''; });
+        render();
+      });
+    };
+
+    const file = overlay.querySelector('[data-action="equivalence-file"]');
+    overlay.querySelector('[data-action="import-equivalences"]').onclick = () => file.click();
+    file.onchange = () => {
+      if (!file.files[0]) return;
+      status.classList.remove('st-settings-error');
+      Promise.resolve(callbacks.onImportEquivalences(file.files[0]))
+        .then((equivalences) => {
+          current.equivalences = equivalences;
+          status.textContent = 'Imported';
+          render();
+        })
+        .catch((err) => {
+          status.textContent = err.message;
+          status.classList.add('st-settings-error');
+        });
+      file.value = '';
+    };
+    overlay.querySelector('[data-action="export-equivalences"]').onclick = callbacks.onExportEquivalences;
+  }
+
   /**
    * Auto-advance delay (ms), scaled to the score: a good rep moves on quickly,
    * a poor rep gives the learner time to read the word-diff.
@@ -282,8 +641,22 @@ const ShadowUI = (() => {
    * score-scaled delay and then fires `onContinue`. Replay/Retry, toggling
    * auto-advance off, or hovering the panel cancels the countdown so the
    * learner can study at their own pace. `Continue` always advances now.
+   *
+   * `playback` ({ speed, attemptRate, replayRate, adaptiveSpeed }) drives the
+   * speed selector, the adaptive slow-down toggle, and the Replay label when
+   * the next replay will be slowed down. `playback.fluency`
+   * (ShadowFluency.measure) adds start time, pace and hesitations.
+   *
+   * The compare buttons call onPlayMine / onPlayOriginal / onPlayBoth;
+   * "Play mine" and "Play both" need `playback.hasRecording`. With a
+   * recording, an intonation panel waits for setProsody().
+   *
+   * With onStar(starred), a star in the header stars the sentence in the
+   * review deck or takes the star off; setStarred() shows its current state.
    */
-  function renderScore(result, sentence, sentenceIndex, totalSentences, callbacks, autoAdvance) {
+  function renderScore(result, sentence, sentenceIndex, totalSentences, callbacks, autoAdvance, playback = {}) {
+    const attemptRate = playback.attemptRate || 1;
+    const replayRate = playback.replayRate || 1;
     const scoreClass =
       result.score >= 80 ? 'st-score-great' :
       result.score >= 50 ? 'st-score-good' : 'st-score-poor';
@@ -291,40 +664,62 @@ const ShadowUI = (() => {
     const scoreLabel =
       result.score >= 80 ? 'Great job!' :
       result.score >= 50 ? 'Good effort!' : 'Try again!';
+    const profile = ShadowScoring.PROFILES[result.profile];
 
     show();
     overlay.innerHTML = `
       <div class="st-header">
         <span class="st-header-title">Shadow Talk</span>
         <span class="st-header-info">${sentenceIndex + 1} / ${totalSentences}</span>
-        <button class="st-close-btn" data-action="stop">&times;</button>
+        ${_renderHeaderActions(!!callbacks.onEdit, !!callbacks.onStar)}
       </div>
       <div class="st-body">
         ${_renderProgress(sentenceIndex + 1, totalSentences)}
         <div class="st-score">
           <div class="st-score-number ${scoreClass}">${result.score}%</div>
-          <div class="st-score-label">${scoreLabel} (${result.matchedCount}/${result.totalCount} words)</div>
+          <div class="st-score-label">${scoreLabel} (${result.matchedCount}/${result.totalCount} words${attemptRate !== 1 ? `, at ${attemptRate}×` : ''})</div>
+          ${profile ? `<div class="st-score-label st-score-profile">${profile.label} scoring</div>` : ''}
+          ${playback.hasRecording ? '<div class="st-score-label st-pitch-score">Intonation: analyzing…</div>' : ''}
         </div>
+        ${playback.fluency ? _renderFluency(playback.fluency) : ''}
+        ${playback.hasRecording ? `
+        <div class="st-pitch st-hidden">
+          <canvas class="st-pitch-canvas" width="320" height="80"></canvas>
+          <div class="st-pitch-legend">
+            <span class="st-pitch-key st-pitch-key-speaker">Speaker</span>
+            <span class="st-pitch-key st-pitch-key-learner">You</span>
+          </div>
+        </div>` : ''}
         <div class="st-sentence">
           <div class="st-sentence-label">Original</div>
           <div class="st-sentence-text">${_renderWordDiff(result.words)}</div>
         </div>
         <div class="st-sentence">
           <div class="st-sentence-label">You said</div>
-          <div class="st-sentence-text">${_renderUserWords(result.userWords)}</div>
+          <div class="st-sentence-text">${_renderUserWords(result.userWords, playback.recognitionError)}</div>
+        </div>
+        <div class="st-compare">
+          <button class="st-btn st-btn-secondary" data-action="play-mine" ${playback.hasRecording ? '' : 'disabled'}>Play mine</button>
+          <button class="st-btn st-btn-secondary" data-action="play-original">Play original</button>
+          <button class="st-btn st-btn-secondary" data-action="play-both" ${playback.hasRecording ? '' : 'disabled'}>Play both</button>
         </div>
         <div class="st-countdown ${autoAdvance ? '' : 'st-hidden'}">
           <div class="st-countdown-fill"></div>
         </div>
         <div class="st-buttons">
-          <button class="st-btn st-btn-secondary" data-action="replay">Replay</button>
+          <button class="st-btn st-btn-secondary" data-action="replay">Replay${replayRate < 1 && replayRate !== playback.speed ? ` (${replayRate}×)` : ''}</button>
           <button class="st-btn st-btn-secondary" data-action="retry">Retry</button>
           <button class="st-btn st-btn-primary" data-action="continue">Continue</button>
         </div>
+        ${playback.speed ? _renderSpeedSelect(playback.speed) : ''}
         <label class="st-auto-toggle">
           <input type="checkbox" data-action="toggle-auto" ${autoAdvance ? 'checked' : ''}>
           <span>Auto-continue</span>
         </label>
+        <label class="st-auto-toggle">
+          <input type="checkbox" data-action="toggle-adaptive" ${playback.adaptiveSpeed ? 'checked' : ''}>
+          <span>Slow down replays after low scores</span>
+        </label>
       </div>
     `;
 
@@ -383,10 +778,44 @@ const ShadowUI = (() => {
       cancelAuto();
       callbacks.onRetry();
     };
+    if (callbacks.onEdit) {
+      overlay.querySelector('[data-action="edit"]').onclick = () => {
+        cancelAuto();
+        callbacks.onEdit();
+      };
+    }
+    if (callbacks.onStar) {
+      const star = overlay.querySelector('[data-action="star"]');
+      star.onclick = () => {
+        cancelAuto();
+        const starred = !star.classList.contains('st-starred');
+        setStarred(starred);
+        callbacks.onStar(starred);
+      };
+    }
     overlay.querySelector('[data-action="continue"]').onclick = () => {
       cancelAuto();
       callbacks.onContinue();
     };
+    [['play-mine', callbacks.onPlayMine], ['play-original', callbacks.onPlayOriginal], ['play-both', callbacks.onPlayBoth]]
+      .forEach(([action, handler]) => {
+        overlay.querySelector(`[data-action="${action}"]`).onclick = () => {
+          cancelAuto();
+          if (handler) handler();
+        };
+      });
+
+    if (playback.speed) {
+      _wireSpeedSelect((rate) => {
+        cancelAuto();
+        if (callbacks.onSpeedChange) callbacks.onSpeedChange(rate);
+      });
+    }
+    const adaptiveToggle = overlay.querySelector('[data-action="toggle-adaptive"]');
+    adaptiveToggle.onchange = () => {
+      cancelAuto();
+      if (callbacks.onToggleAdaptive) callbacks.onToggleAdaptive(adaptiveToggle.checked);
+    };
 
     const toggle = overlay.querySelector('[data-action="toggle-auto"]');
     toggle.onchange = () => {
@@ -404,10 +833,151 @@ const ShadowUI = (() => {
     if (autoAdvance) startAuto();
   }
 
+  const PITCH_COLORS = { speaker: '#4ecca3', learner: '#e94560' };
+  // Semitones above/below the median shown on the pitch plot.
+  const PITCH_RANGE = 8;
+
+  /**
+   * Show whether the scored sentence is starred for review (filled star).
+   * No-op if the score screen isn't showing.
+   */
+  function setStarred(starred) {
+    const star = overlay && overlay.querySelector('[data-action="star"]');
+    if (!star) return;
+    star.classList.toggle('st-starred', starred);
+    star.innerHTML = starred ? '&#9733;' : '&#9734;';
+    star.title = starred ? 'Unstar' : 'Star for review';
+  }
+
+  /**
+   * Show the intonation comparison (ShadowProsody.compare) on the score
+   * screen; null means it could not be computed. No-op if the score screen
+   * isn't showing.
+   */
+  function setProsody(comparison) {
+    const label = overlay && overlay.querySelector('.st-pitch-score');
+    if (!label) return;
+
+    if (!comparison) {
+      label.textContent = 'Intonation: not enough voiced speech to compare';
+      return;
+    }
+    label.textContent = `Intonation: ${comparison.similarity}% similar`;
+
+    const panel = overlay.querySelector('.st-pitch');
+    panel.classList.remove('st-hidden');
+    const canvas = panel.querySelector('.st-pitch-canvas');
+    const ctx = canvas.getContext('2d');
+    const { width, height } = canvas;
+    const y = (st) => height / 2 - (Math.max(-PITCH_RANGE, Math.min(PITCH_RANGE, st)) / PITCH_RANGE) * (height / 2 - 4);
+
+    ctx.clearRect(0, 0, width, height);
+    ctx.strokeStyle = '#2a2a4a';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(0, height / 2);
+    ctx.lineTo(width, height / 2);
+    ctx.stroke();
+
+    for (const key of ['speaker', 'learner']) {
+      ctx.strokeStyle = PITCH_COLORS[key];
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      comparison[key].forEach((point, i) => {
+        const x = point.t * width;
+        if (i === 0) ctx.moveTo(x, y(point.st));
+        else ctx.lineTo(x, y(point.st));
+      });
+      ctx.stroke();
+    }
+  }
+
   /**
-   * Render completion screen.
+   * Render the sentence boundary editor for `sentences[index]`.
+   *
+   * Click a word to split the sentence before it; nudge either edge by
+   * ±100ms (each nudge previews that edge); merge with the next sentence;
+   * or rewrite the caption text. Callbacks:
+   * onSplit(wordIndex), onMerge(), onNudge(edge, delta), onSetText(text),
+   * onPreview(), onNavigate(index), onReset(), onDone().
+   * `status` is a short message shown under the controls (e.g. "Saved").
    */
-  function renderComplete(stats, onRestart, onClose) {
+  function renderEditor(sentences, index, callbacks, status = '') {
+    const sentence = sentences[index];
+    const words = sentence.words && sentence.words.length > 0
+      ? sentence.words.map((w) => w.word)
+      : sentence.text.split(/\s+/);
+
+    show();
+    overlay.innerHTML = `
+      <div class="st-header">
+        <span class="st-header-title">Edit sentences</span>
+        <span class="st-header-info">${index + 1} / ${sentences.length}</span>
+        <button class="st-close-btn" data-action="done">&times;</button>
+      </div>
+      <div class="st-body">
+        <div class="st-sentence">
+          <div class="st-sentence-label">Click a word to split before it</div>
+          <div class="st-sentence-text st-editor-words">
+            ${words.map((w, i) =>
+              `<span class="st-editor-word${i === 0 ? '' : ' st-splittable'}" data-word="${i}">${_escapeHtml(w)}</span>`
+            ).join(' ')}
+          </div>
+        </div>
+        <div class="st-editor-times">
+          <div class="st-editor-edge">
+            <span class="st-sentence-label">Start</span>
+            <button class="st-btn st-btn-secondary" data-nudge="start" data-delta="-0.1">&minus;100ms</button>
+            <span class="st-editor-time">${_formatTime(sentence.startTime)}</span>
+            <button class="st-btn st-btn-secondary" data-nudge="start" data-delta="0.1">+100ms</button>
+          </div>
+          <div class="st-editor-edge">
+            <span class="st-sentence-label">End</span>
+            <button class="st-btn st-btn-secondary" data-nudge="end" data-delta="-0.1">&minus;100ms</button>
+            <span class="st-editor-time">${_formatTime(sentence.endTime)}</span>
+            <button class="st-btn st-btn-secondary" data-nudge="end" data-delta="0.1">+100ms</button>
+          </div>
+        </div>
+        <textarea class="st-editor-textarea" rows="2">${_escapeHtml(sentence.text)}</textarea>
+        <div class="st-buttons">
+          <button class="st-btn st-btn-secondary" data-action="prev" ${index === 0 ? 'disabled' : ''}>&lsaquo; Prev</button>
+          <button class="st-btn st-btn-secondary" data-action="preview">Preview</button>
+          <button class="st-btn st-btn-secondary" data-action="set-text">Apply text</button>
+          <button class="st-btn st-btn-secondary" data-action="next" ${index >= sentences.length - 1 ? 'disabled' : ''}>Next &rsaquo;</button>
+        </div>
+        <div class="st-buttons">
+          <button class="st-btn st-btn-secondary" data-action="merge" ${index >= sentences.length - 1 ? 'disabled' : ''}>Merge with next</button>
+          <button class="st-btn st-btn-secondary" data-action="reset">Reset edits</button>
+          <button class="st-btn st-btn-primary" data-action="done-btn">Done</button>
+        </div>
+        <div class="st-editor-status">${_escapeHtml(status)}</div>
+      </div>
+    `;
+
+    overlay.querySelectorAll('.st-splittable').forEach((el) => {
+      el.onclick = () => callbacks.onSplit(Number(el.dataset.word));
+    });
+    overlay.querySelectorAll('[data-nudge]').forEach((el) => {
+      el.onclick = () => callbacks.onNudge(el.dataset.nudge, Number(el.dataset.delta));
+    });
+    overlay.querySelector('[data-action="set-text"]').onclick = () => {
+      callbacks.onSetText(overlay.querySelector('.st-editor-textarea').value);
+    };
+    overlay.querySelector('[data-action="prev"]').onclick = () => callbacks.onNavigate(index - 1);
+    overlay.querySelector('[data-action="next"]').onclick = () => callbacks.onNavigate(index + 1);
+    overlay.querySelector('[data-action="preview"]').onclick = callbacks.onPreview;
+    overlay.querySelector('[data-action="merge"]').onclick = callbacks.onMerge;
+    overlay.querySelector('[data-action="reset"]').onclick = callbacks.onReset;
+    overlay.querySelector('[data-action="done"]').onclick = callbacks.onDone;
+    overlay.querySelector('[data-action="done-btn"]').onclick = callbacks.onDone;
+  }
+
+  /**
+   * Render completion screen. `stats` is ShadowAttempts.summarize() plus
+   * `fluency` (ShadowFluency.summarize(), null if nothing was measured).
+   * The restart button reads `restartLabel`; without onRestart it is left out.
+   */
+  function renderComplete(stats, onRestart, onClose, restartLabel = 'Restart') {
     show();
     overlay.innerHTML = `
       <div class="st-header">
@@ -417,22 +987,124 @@ const ShadowUI = (() => {
       <div class="st-body">
         <div class="st-score">
           <div class="st-score-number st-score-great">${stats.averageScore}%</div>
-          <div class="st-score-label">Average Score — ${stats.totalSentences} sentences completed</div>
+          <div class="st-score-label">
+            Average Score — ${stats.sentences} sentence${stats.sentences === 1 ? '' : 's'} practiced${stats.attempts > stats.sentences ? ` in ${stats.attempts} attempts` : ''}
+          </div>
+          ${stats.fullSpeedCount < stats.sentences ? `
+          <div class="st-score-label">
+            At full speed: ${stats.fullSpeedCount > 0 ? `${stats.fullSpeedAverage}% over ${stats.fullSpeedCount}` : 'none yet'}
+          </div>` : ''}
         </div>
+        <div class="st-fluency">
+          <div class="st-fluency-item">
+            <span class="st-fluency-value">${stats.firstTryAverage}%</span>
+            <span class="st-fluency-label">first try</span>
+          </div>
+          <div class="st-fluency-item">
+            <span class="st-fluency-value">${stats.bestAverage}%</span>
+            <span class="st-fluency-label">best try</span>
+          </div>
+          <div class="st-fluency-item">
+            <span class="st-fluency-value">${stats.skipped}</span>
+            <span class="st-fluency-label">skipped</span>
+          </div>
+        </div>
+        ${stats.fluency ? `
+        <div class="st-fluency">
+          <div class="st-fluency-item">
+            <span class="st-fluency-value">${stats.fluency.averageLatency.toFixed(1)}s</span>
+            <span class="st-fluency-label">average start</span>
+          </div>
+          <div class="st-fluency-item">
+            <span class="st-fluency-value">${Math.round(stats.fluency.averagePace * 100)}%</span>
+            <span class="st-fluency-label">of speaker's pace</span>
+          </div>
+          <div class="st-fluency-item">
+            <span class="st-fluency-value">${stats.fluency.hesitationsPerSentence.toFixed(1)}</span>
+            <span class="st-fluency-label">hesitations per sentence</span>
+          </div>
+        </div>` : ''}
         <div class="st-buttons">
           <button class="st-btn st-btn-secondary" data-action="close-panel">Close</button>
-          <button class="st-btn st-btn-primary" data-action="restart">Restart</button>
+          ${onRestart ? `<button class="st-btn st-btn-primary" data-action="restart">${_escapeHtml(restartLabel)}</button>` : ''}
         </div>
       </div>
     `;
 
     overlay.querySelector('[data-action="close"]').onclick = onClose || (() => hide());
     overlay.querySelector('[data-action="close-panel"]').onclick = onClose || (() => hide());
-    overlay.querySelector('[data-action="restart"]').onclick = onRestart;
+    if (onRestart) overlay.querySelector('[data-action="restart"]').onclick = onRestart;
   }
 
   // ---- Private helpers ----
 
+  const SPEED_OPTIONS = [0.5, 0.6, 0.75, 0.9, 1, 1.25, 1.5];
+
+  function _renderSpeedSelect(rate) {
+    const options = SPEED_OPTIONS.includes(rate) ? SPEED_OPTIONS : [...SPEED_OPTIONS, rate].sort((a, b) => a - b);
+    return `
+      <label class="st-speed">
+        <span class="st-sentence-label">Speed</span>
+        <select class="st-select st-speed-select" data-action="speed">
+          ${options.map((r) => `<option value="${r}" ${r === rate ? 'selected' : ''}>${r}×</option>`).join('')}
+        </select>
+      </label>
+    `;
+  }
+
+  function _wireSpeedSelect(onChange) {
+    const select = overlay.querySelector('[data-action="speed"]');
+    if (select) select.onchange = () => onChange(Number(select.value));
+  }
+
+  /** Start time, pace and hesitations for one attempt. */
+  function _renderFluency(fluency) {
+    const hesitation = fluency.hesitations > 0
+      ? `hesitation${fluency.hesitations === 1 ? '' : 's'} (${fluency.hesitationTime.toFixed(1)}s)`
+      : 'hesitations';
+    return `
+      <div class="st-fluency">
+        <div class="st-fluency-item">
+          <span class="st-fluency-value">${fluency.latency.toFixed(1)}s</span>
+          <span class="st-fluency-label">to start</span>
+        </div>
+        <div class="st-fluency-item">
+          <span class="st-fluency-value">${fluency.wpm}</span>
+          <span class="st-fluency-label">words/min (speaker ${fluency.speakerWpm})</span>
+        </div>
+        <div class="st-fluency-item">
+          <span class="st-fluency-value">${fluency.hesitations}</span>
+          <span class="st-fluency-label">${hesitation}</span>
+        </div>
+      </div>
+    `;
+  }
+
+  /** Header buttons for in-session screens: optional edit, then stop. */
+  function _renderHeaderActions(canEdit, canStar = false) {
+    return `
+      <span class="st-header-actions">
+        ${canStar ? '<button class="st-close-btn st-star-btn" data-action="star" title="Star for review">&#9734;</button>' : ''}
+        ${canEdit ? '<button class="st-close-btn st-edit-btn" data-action="edit" title="Edit sentences">&#9998;</button>' : ''}
+        <button class="st-close-btn" data-action="stop">&times;</button>
+      </span>
+    `;
+  }
+
+  /** A sentence label, tagged with the speaker when the caption marks a turn. */
+  function _sentenceLabel(label, sentence) {
+    if (sentence.speaker) return `${label} · ${_escapeHtml(sentence.speaker)}`;
+    if (sentence.speakerChange) return `${label} · new speaker`;
+    return label;
+  }
+
+  /** Seconds → "m:ss.s" for the editor's edge times. */
+  function _formatTime(seconds) {
+    const m = Math.floor(seconds / 60);
+    const sec = (seconds - m * 60).toFixed(1).padStart(4, '0');
+    return `${m}:${sec}`;
+  }
+
   function _renderProgress(current, total) {
     const pct = total > 0 ? Math.round((current / total) * 100) : 0;
     return `
@@ -446,16 +1118,28 @@ const ShadowUI = (() => {
   }
 
   function _renderWordDiff(words) {
-    return words
-      .map((w) => `<span class="st-word-${w.status}">${_escapeHtml(w.word)}</span>`)
-      .join(' ');
+    return words.map(_renderWord).join(' ');
   }
 
-  function _renderUserWords(words) {
-    if (!words || words.length === 0) return '<span class="st-word-missed">(no speech detected)</span>';
-    return words
-      .map((w) => `<span class="st-word-${w.status}">${_escapeHtml(w.word)}</span>`)
-      .join(' ');
+  function _renderUserWords(words, error) {
+    if (!words || words.length === 0) {
+      return `<span class="st-word-missed">(${_escapeHtml(error || 'no speech detected')})</span>`;
+    }
+    return words.map(_renderWord).join(' ');
+  }
+
+  function _renderWord(w) {
+    if (w.status === 'substituted' && w.heard) {
+      // Target words only: show what was said in its place, inline.
+      return `<span class="st-word-substituted" title="You said &quot;${_escapeHtml(w.heard)}&quot; instead of &quot;${_escapeHtml(w.word)}&quot;">` +
+        `<span class="st-word-target">${_escapeHtml(w.word)}</span> ` +
+        `<span class="st-word-heard">${_escapeHtml(w.heard)}</span></span>`;
+    }
+    const title = w.status === 'unclear' ? ' title="The recognizer wasn\'t sure what it heard here"'
+      : w.status === 'phonetic' ? ` title="Sounds right — heard as &quot;${_escapeHtml(w.heard)}&quot;"`
+      : w.status === 'reordered' ? ' title="Said, but not in this order"'
+      : '';
+    return `<span class="st-word-${w.status}"${title}>${_escapeHtml(w.word)}</span>`;
   }
 
   function _escapeHtml(text) {
@@ -470,11 +1154,16 @@ const ShadowUI = (() => {
     hide,
     destroy,
     renderStart,
+    setTracks,
+    renderSettings,
     renderLoading,
     renderError,
     renderPlaying,
     renderListening,
     renderScore,
+    setProsody,
+    setStarred,
+    renderEditor,
     renderComplete,
   };
 })();
@@ -0,0 +1,133 @@
+/**
+ * vad.js — Energy-based voice activity detection on the microphone.
+ *
+ * Decides when the learner starts and stops speaking from the mic level
+ * itself rather than from gaps between recognizer results, so a slow
+ * speaker's mid-sentence pause isn't mistaken for the end and a fast speaker
+ * isn't kept waiting. The speech threshold adapts to the room: it is set a
+ * few times above the noise floor, the quietest level heard. The floor is
+ * carried over to the next watch(), so only the first attempt calibrates
+ * while the learner may already be speaking.
+ */
+
+const ShadowVAD = (() => {
+  const FRAME_MS = 30;
+  // The quietest frame over this long at the start sets the first noise
+  // floor, capped so a learner who starts speaking at once isn't taken for
+  // room noise.
+  const CALIBRATION_MS = 300;
+  const MAX_NOISE_FLOOR = 0.01;
+  // Speech must be this many times louder than the noise floor...
+  const NOISE_MULTIPLIER = 3;
+  // ...and never quieter than this RMS.
+  const MIN_LEVEL = 0.008;
+  // Loud for at least this long before it counts as speech (ignores clicks).
+  const SPEECH_START_MS = 120;
+  // Quiet gaps inside speech at least this long are reported as pauses.
+  const MIN_PAUSE_MS = 150;
+
+  // Noise floor at the end of the last watch(), null before the first.
+  let lastNoiseFloor = null;
+
+  function isSupported() {
+    return !!(window.AudioContext || window.webkitAudioContext);
+  }
+
+  /**
+   * Watch a mic stream and report speech boundaries. Options:
+   * - stream: the open mic stream (the caller owns it; it isn't stopped here)
+   * - silenceMs: quiet time after speech that ends the utterance
+   * - noSpeechMs: give up if speech hasn't started by then
+   * - onSpeechStart(), onSpeechEnd(), onNoSpeech(): each called at most once;
+   *   the detector stops itself after onSpeechEnd or onNoSpeech
+   *
+   * Resolves with a detector { stop(), summary() } once it is watching.
+   * summary() returns { armedAt, speechStart, speechEnd, pauses: [{ start,
+   * duration }] } in performance.now() ms, or null if no speech was heard.
+   * armedAt is when detection began — calibration runs alongside it, not
+   * before.
+   */
+  async function watch({ stream, silenceMs, noSpeechMs, onSpeechStart, onSpeechEnd, onNoSpeech }) {
+    const audioContext = new (window.AudioContext || window.webkitAudioContext)();
+    const analyser = audioContext.createAnalyser();
+    analyser.fftSize = 1024;
+    const source = audioContext.createMediaStreamSource(stream);
+    source.connect(analyser);
+
+    const samples = new Float32Array(analyser.fftSize);
+    const startedAt = performance.now();
+    const calibrating = lastNoiseFloor === null;
+    let noiseFloor = calibrating ? MAX_NOISE_FLOOR : lastNoiseFloor;
+    let loudSince = 0;
+    let quietSince = 0;
+    let speaking = false;
+    let stopped = false;
+    let speechStart = 0;
+    let lastLoud = 0;
+    const pauses = [];
+
+    const stop = () => {
+      if (stopped) return;
+      stopped = true;
+      clearInterval(timerId);
+      lastNoiseFloor = noiseFloor;
+      source.disconnect();
+      audioContext.close();
+    };
+
+    const timerId = setInterval(() => {
+      analyser.getFloatTimeDomainData(samples);
+      let energy = 0;
+      for (let i = 0; i < samples.length; i++) energy += samples[i] * samples[i];
+      const level = Math.sqrt(energy / samples.length);
+      const now = performance.now();
+
+      if (calibrating && now - startedAt < CALIBRATION_MS) {
+        noiseFloor = Math.min(noiseFloor, level);
+      }
+
+      const threshold = Math.max(MIN_LEVEL, noiseFloor * NOISE_MULTIPLIER);
+      if (level >= threshold) {
+        quietSince = 0;
+        loudSince = loudSince || now;
+        if (speaking) {
+          if (now - lastLoud >= MIN_PAUSE_MS + FRAME_MS) {
+            pauses.push({ start: lastLoud, duration: now - FRAME_MS - lastLoud });
+          }
+          lastLoud = now;
+        } else if (now - loudSince >= SPEECH_START_MS) {
+          speaking = true;
+          speechStart = loudSince;
+          lastLoud = now;
+          if (onSpeechStart) onSpeechStart();
+        }
+        return;
+      }
+
+      loudSince = 0;
+      if (!speaking) {
+        // Still waiting: let the floor follow slow changes in room noise.
+        noiseFloor = Math.min(MAX_NOISE_FLOOR, noiseFloor * 0.95 + level * 0.05);
+        if (now - startedAt >= noSpeechMs) {
+          stop();
+          if (onNoSpeech) onNoSpeech();
+        }
+        return;
+      }
+
+      quietSince = quietSince || now;
+      if (now - quietSince >= silenceMs) {
+        stop();
+        if (onSpeechEnd) onSpeechEnd();
+      }
+    }, FRAME_MS);
+
+    const summary = () => (speaking
+      ? { armedAt: startedAt, speechStart, speechEnd: lastLoud, pauses: pauses.slice() }
+      : null);
+
+    return { stop, summary };
+  }
+
+  return { isSupported, watch };
+})();
@@ -35,11 +35,25 @@ chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
  * (ISOLATED) world. `content.js` must come last — it depends on the others.
  */
 const ISOLATED_SCRIPTS = [
+  'content/storage.js',
   'content/transcript.js',
+  'content/subtitles.js',
   'content/player.js',
+  'content/vad.js',
   'content/speech.js',
+  'content/endpoint.js',
+  'content/local-speech.js',
+  'content/recorder.js',
+  'content/prosody.js',
+  'content/numbers.js',
+  'content/phonetics.js',
   'content/scoring.js',
+  'content/fluency.js',
+  'content/attempts.js',
   'content/ui.js',
+  'content/editor.js',
+  'content/history.js',
+  'content/review.js',
   'content/content.js',
 ];
 const MAIN_SCRIPTS = ['content/page-bridge.js'];